@@ -0,0 +1,172 @@
+// engine/aave.js – Aave V3 reserve state: flash-loan enablement, liquidity and premium
+'use strict';
+
+const { ethers } = require('ethers');
+
+const AAVE_ADDRESSES_PROVIDER_ABI = [
+  'function getPool() external view returns (address)',
+  'function getPoolDataProvider() external view returns (address)',
+  'function getPriceOracle() external view returns (address)',
+];
+
+const AAVE_POOL_ABI = [
+  'function FLASHLOAN_PREMIUM_TOTAL() external view returns (uint128)',
+];
+
+const AAVE_DATA_PROVIDER_ABI = [
+  'function getReserveConfigurationData(address asset) external view returns (uint256 decimals, uint256 ltv, uint256 liquidationThreshold, uint256 liquidationBonus, uint256 reserveFactor, bool usageAsCollateralEnabled, bool borrowingEnabled, bool stableBorrowRateEnabled, bool isActive, bool isFrozen)',
+  'function getPaused(address asset) external view returns (bool isPaused)',
+  'function getFlashLoanEnabled(address asset) external view returns (bool)',
+  'function getReserveTokensAddresses(address asset) external view returns (address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress)',
+];
+
+const ERC20_BALANCE_ABI = [
+  'function balanceOf(address account) external view returns (uint256)',
+];
+
+// Re-read the flash-loan premium this often; governance changes it rarely.
+const PREMIUM_TTL_MS = 10 * 60 * 1000;
+// Re-read reserve flags this often; the guardian can pause or freeze a reserve
+// at any time, and a stale flag only costs a reverted estimateGas.
+const RESERVE_TTL_MS = 60 * 1000;
+
+/**
+ * AaveReader resolves the chain's Aave V3 Pool and PoolDataProvider from
+ * `aavePoolAddressProvider` and answers what the engine may flash-loan: which
+ * reserves are active, unpaused and flash-loan enabled, how much of each the
+ * aToken holds, and the flash-loan premium.
+ *
+ * Reserve configuration and the premium are cached; available liquidity is
+ * read fresh on every call because every trade moves it.
+ */
+class AaveReader {
+  /**
+   * @param {ethers.Provider} provider
+   * @param {object} chainConfig  – entry from engine/config.js CHAINS
+   * @param {object} [options]
+   * @param {ethers.ContractRunner} [options.reader]  Runner for reads (e.g. Multicall)
+   */
+  constructor(provider, chainConfig, options = {}) {
+    this.reader = options.reader ?? provider;
+    this.addressesProvider = new ethers.Contract(
+      chainConfig.aavePoolAddressProvider,
+      AAVE_ADDRESSES_PROVIDER_ABI,
+      this.reader
+    );
+    this.pool          = null;
+    this.dataProvider  = null;
+    this.oracleAddress = null;
+    this.premium  = null;      // { bps: bigint, fetchedAt: number }
+    this.reserves = new Map(); // asset (lowercase) → reserve (see reserve())
+    this.pending  = new Map(); // asset (lowercase) → in-flight fetch
+  }
+
+  async init() {
+    if (this.pool) return;
+    const [poolAddr, dataProviderAddr, oracleAddr] = await Promise.all([
+      this.addressesProvider.getPool(),
+      this.addressesProvider.getPoolDataProvider(),
+      this.addressesProvider.getPriceOracle(),
+    ]);
+    this.pool          = new ethers.Contract(poolAddr, AAVE_POOL_ABI, this.reader);
+    this.dataProvider  = new ethers.Contract(dataProviderAddr, AAVE_DATA_PROVIDER_ABI, this.reader);
+    this.oracleAddress = oracleAddr;
+  }
+
+  /**
+   * Aave V3 flash-loan premium in basis points (FLASHLOAN_PREMIUM_TOTAL).
+   */
+  async premiumBps() {
+    await this.init();
+    if (!this.premium || Date.now() - this.premium.fetchedAt > PREMIUM_TTL_MS) {
+      const bps = await this.pool.FLASHLOAN_PREMIUM_TOTAL();
+      this.premium = { bps: BigInt(bps), fetchedAt: Date.now() };
+    }
+    return this.premium.bps;
+  }
+
+  /**
+   * Cached reserve configuration for `asset`.
+   * @returns {Promise<{asset, aToken, decimals, active, frozen, paused, flashLoanEnabled, fetchedAt}>}
+   *   aToken is null when `asset` is not listed on Aave
+   */
+  async reserve(asset) {
+    const key    = asset.toLowerCase();
+    const cached = this.reserves.get(key);
+    if (cached && Date.now() - cached.fetchedAt <= RESERVE_TTL_MS) return cached;
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.fetchReserve(asset)
+        .then((reserve) => {
+          this.reserves.set(key, reserve);
+          return reserve;
+        })
+        .finally(() => this.pending.delete(key)));
+    }
+    return this.pending.get(key);
+  }
+
+  async fetchReserve(asset) {
+    await this.init();
+    const [config, paused, flashLoanEnabled, tokens] = await Promise.all([
+      this.dataProvider.getReserveConfigurationData(asset),
+      this.dataProvider.getPaused(asset),
+      // Added in Aave V3.0.1; every reserve was flash-loanable before the flag existed
+      this.dataProvider.getFlashLoanEnabled(asset).catch((err) => {
+        if (err.code === 'CALL_EXCEPTION') return true;
+        throw err;
+      }),
+      this.dataProvider.getReserveTokensAddresses(asset),
+    ]);
+    return {
+      asset,
+      aToken:   tokens.aTokenAddress === ethers.ZeroAddress ? null : tokens.aTokenAddress,
+      decimals: Number(config.decimals),
+      active:   config.isActive,
+      frozen:   config.isFrozen,
+      paused,
+      flashLoanEnabled,
+      fetchedAt: Date.now(),
+    };
+  }
+
+  /**
+   * Why `asset` cannot be flash-loaned right now, or null when it can.
+   * Frozen reserves still lend; only new supply and borrows are blocked.
+   */
+  async unavailableReason(asset) {
+    const reserve = await this.reserve(asset);
+    if (!reserve.aToken)           return 'not an Aave reserve';
+    if (!reserve.active)           return 'Aave reserve is inactive';
+    if (reserve.paused)            return 'Aave reserve is paused';
+    if (!reserve.flashLoanEnabled) return 'flash loans are disabled for the Aave reserve';
+    return null;
+  }
+
+  /**
+   * Amount of `asset` Aave can flash-loan right now: the underlying balance
+   * held by the reserve's aToken, or 0 when the reserve cannot flash-loan.
+   * @returns {Promise<bigint>}
+   */
+  async availableLiquidity(asset) {
+    if (await this.unavailableReason(asset)) return 0n;
+    const { aToken } = await this.reserve(asset);
+    const token = new ethers.Contract(asset, ERC20_BALANCE_ABI, this.reader);
+    return token.balanceOf(aToken);
+  }
+
+  /**
+   * Check a loan just before execution.
+   * @returns {Promise<{ok: boolean, reason: string|null, available: bigint}>}
+   */
+  async checkLoan(asset, amount) {
+    const reason = await this.unavailableReason(asset);
+    if (reason) return { ok: false, reason, available: 0n };
+    const available = await this.availableLiquidity(asset);
+    if (available < amount) {
+      return { ok: false, reason: 'insufficient Aave liquidity', available };
+    }
+    return { ok: true, reason: null, available };
+  }
+}
+
+module.exports = { AaveReader };
@@ -0,0 +1,251 @@
+// engine/amm.js – Off-chain swap math for Uniswap V3 (tick-crossing) and V2-style pools
+'use strict';
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+const Q96            = 2n ** 96n;
+const Q192           = 2n ** 192n;
+const MAX_UINT256    = 2n ** 256n - 1n;
+const MIN_TICK       = -887272;
+const MAX_TICK       = 887272;
+const MIN_SQRT_RATIO = 4295128739n;
+const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+const FEE_DENOMINATOR = 1_000_000n; // V3 fees are expressed in hundredths of a bip
+
+// TickMath magic numbers: 1/sqrt(1.0001)^(2^i) as Q128.128, i = 1..19
+const TICK_RATIOS = [
+  0xfff97272373d413259a46990580e213an,
+  0xfff2e50f5f656932ef12357cf3c7fdccn,
+  0xffe5caca7e10e4e61c3624eaa0941cd0n,
+  0xffcb9843d60f6159c9db58835c926644n,
+  0xff973b41fa98c081472e6896dfb254c0n,
+  0xff2ea16466c96a3843ec78b326b52861n,
+  0xfe5dee046a99a2a811c461f1969c3053n,
+  0xfcbe86c7900a88aedcffc83b479aa3a4n,
+  0xf987a7253ac413176f2b074cf7815e54n,
+  0xf3392b0822b70005940c7a398e4b70f3n,
+  0xe7159475a2c29b7443b29c7fa6e889d9n,
+  0xd097f3bdfd2022b8845ad8f792aa5825n,
+  0xa9f746462d870fdf8a65dc1f90e061e5n,
+  0x70d869a156d2a1b890bb3df62baf32f7n,
+  0x31be135f97d08fd981231505542fcfa6n,
+  0x9aa508b5b7a84e1c677de54f3e99bc9n,
+  0x5d6af8dedb81196699c329225ee604n,
+  0x2216e584f5fa1ea926041bedfe98n,
+  0x48a170391f7dc42444e8fa2n,
+];
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function mulDivRoundingUp(a, b, denominator) {
+  const product = a * b;
+  return product / denominator + (product % denominator === 0n ? 0n : 1n);
+}
+
+function divRoundingUp(a, b) {
+  return a / b + (a % b === 0n ? 0n : 1n);
+}
+
+// ── Uniswap V3 ────────────────────────────────────────────────────────────────
+
+/**
+ * Port of TickMath.getSqrtRatioAtTick: sqrt(1.0001^tick) as a Q64.96.
+ */
+function getSqrtRatioAtTick(tick) {
+  if (tick < MIN_TICK || tick > MAX_TICK) throw new RangeError(`Tick out of range: ${tick}`);
+  const absTick = BigInt(Math.abs(tick));
+
+  let ratio = (absTick & 1n) !== 0n
+    ? 0xfffcb933bd6fad37aa2d162d1a594001n
+    : 0x100000000000000000000000000000000n;
+  for (let i = 0; i < TICK_RATIOS.length; i++) {
+    if ((absTick & (1n << BigInt(i + 1))) !== 0n) ratio = (ratio * TICK_RATIOS[i]) >> 128n;
+  }
+  if (tick > 0) ratio = MAX_UINT256 / ratio;
+
+  // Q128.128 → Q64.96, rounding up
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+function getAmount0Delta(sqrtA, sqrtB, liquidity, roundUp) {
+  if (sqrtA > sqrtB) [sqrtA, sqrtB] = [sqrtB, sqrtA];
+  const numerator1 = liquidity << 96n;
+  const numerator2 = sqrtB - sqrtA;
+  return roundUp
+    ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, sqrtB), sqrtA)
+    : (numerator1 * numerator2) / sqrtB / sqrtA;
+}
+
+function getAmount1Delta(sqrtA, sqrtB, liquidity, roundUp) {
+  if (sqrtA > sqrtB) [sqrtA, sqrtB] = [sqrtB, sqrtA];
+  return roundUp
+    ? mulDivRoundingUp(liquidity, sqrtB - sqrtA, Q96)
+    : (liquidity * (sqrtB - sqrtA)) / Q96;
+}
+
+function getNextSqrtPriceFromInput(sqrtPrice, liquidity, amountIn, zeroForOne) {
+  if (amountIn === 0n) return sqrtPrice;
+  if (zeroForOne) {
+    // token0 in: price moves down, round up so we never overstate output
+    const numerator1 = liquidity << 96n;
+    return mulDivRoundingUp(numerator1, sqrtPrice, numerator1 + amountIn * sqrtPrice);
+  }
+  // token1 in: price moves up, round down
+  return sqrtPrice + (amountIn << 96n) / liquidity;
+}
+
+/**
+ * Port of SwapMath.computeSwapStep for exact-input swaps.
+ */
+function computeSwapStep(sqrtCurrent, sqrtTarget, liquidity, amountRemaining, feePips) {
+  const fee        = BigInt(feePips);
+  const zeroForOne = sqrtCurrent >= sqrtTarget;
+  const amountRemainingLessFee = (amountRemaining * (FEE_DENOMINATOR - fee)) / FEE_DENOMINATOR;
+
+  let amountIn = zeroForOne
+    ? getAmount0Delta(sqrtTarget, sqrtCurrent, liquidity, true)
+    : getAmount1Delta(sqrtCurrent, sqrtTarget, liquidity, true);
+
+  const sqrtNext = amountRemainingLessFee >= amountIn
+    ? sqrtTarget
+    : getNextSqrtPriceFromInput(sqrtCurrent, liquidity, amountRemainingLessFee, zeroForOne);
+  const reachedTarget = sqrtNext === sqrtTarget;
+
+  let amountOut;
+  if (zeroForOne) {
+    if (!reachedTarget) amountIn = getAmount0Delta(sqrtNext, sqrtCurrent, liquidity, true);
+    amountOut = getAmount1Delta(sqrtNext, sqrtCurrent, liquidity, false);
+  } else {
+    if (!reachedTarget) amountIn = getAmount1Delta(sqrtCurrent, sqrtNext, liquidity, true);
+    amountOut = getAmount0Delta(sqrtCurrent, sqrtNext, liquidity, false);
+  }
+
+  const feeAmount = reachedTarget
+    ? mulDivRoundingUp(amountIn, fee, FEE_DENOMINATOR - fee)
+    : amountRemaining - amountIn;
+
+  return { sqrtNext, amountIn, amountOut, feeAmount };
+}
+
+/**
+ * Find the next initialized tick in the swap direction among the loaded ticks.
+ * Returns null when the loaded range holds no further initialized tick.
+ */
+function nextInitializedTick(sortedTicks, tick, zeroForOne) {
+  if (zeroForOne) {
+    for (let i = sortedTicks.length - 1; i >= 0; i--) {
+      if (sortedTicks[i] <= tick) return sortedTicks[i];
+    }
+  } else {
+    for (let i = 0; i < sortedTicks.length; i++) {
+      if (sortedTicks[i] > tick) return sortedTicks[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Simulate an exact-input swap through a Uniswap V3 pool, crossing initialized
+ * ticks the same way UniswapV3Pool.swap does.
+ *
+ * @param {object}  state
+ * @param {bigint}  state.sqrtPriceX96
+ * @param {number}  state.tick
+ * @param {bigint}  state.liquidity
+ * @param {number}  state.fee              Fee in hundredths of a bip (500 = 0.05%)
+ * @param {Map<number, bigint>} state.ticks  Initialized tick → liquidityNet
+ * @param {number}  state.tickLower        Lowest tick covered by the loaded tick data
+ * @param {number}  state.tickUpper        Highest tick covered by the loaded tick data
+ * @param {boolean} zeroForOne             true when swapping token0 for token1
+ * @param {bigint}  amountIn
+ * @returns {{amountOut: bigint, sqrtPriceX96: bigint, exhausted: boolean}}
+ *   `exhausted` is set when the swap ran past the loaded tick data, in which
+ *   case `amountOut` only covers the part of the input that could be priced.
+ */
+function simulateV3Swap(state, zeroForOne, amountIn) {
+  const sortedTicks = [...state.ticks.keys()].sort((a, b) => a - b);
+  const sqrtLimit   = zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n;
+
+  let remaining = amountIn;
+  let amountOut = 0n;
+  let sqrtPrice = state.sqrtPriceX96;
+  let tick      = state.tick;
+  let liquidity = state.liquidity;
+
+  while (remaining > 0n && sqrtPrice !== sqrtLimit) {
+    let tickNext    = nextInitializedTick(sortedTicks, tick, zeroForOne);
+    const initialized = tickNext !== null;
+    if (!initialized) tickNext = zeroForOne ? state.tickLower : state.tickUpper;
+    tickNext = Math.min(Math.max(tickNext, MIN_TICK), MAX_TICK);
+
+    const sqrtAtNext = getSqrtRatioAtTick(tickNext);
+    const sqrtTarget = (zeroForOne ? sqrtAtNext < sqrtLimit : sqrtAtNext > sqrtLimit)
+      ? sqrtLimit
+      : sqrtAtNext;
+
+    const step = computeSwapStep(sqrtPrice, sqrtTarget, liquidity, remaining, state.fee);
+    remaining -= step.amountIn + step.feeAmount;
+    amountOut += step.amountOut;
+    sqrtPrice  = step.sqrtNext;
+
+    if (sqrtPrice === sqrtAtNext) {
+      if (!initialized) {
+        // Ran off the edge of the tick data we loaded – liquidity beyond is unknown.
+        return { amountOut, sqrtPriceX96: sqrtPrice, exhausted: remaining > 0n };
+      }
+      const liquidityNet = state.ticks.get(tickNext);
+      liquidity += zeroForOne ? -liquidityNet : liquidityNet;
+      tick = zeroForOne ? tickNext - 1 : tickNext;
+    }
+  }
+
+  return { amountOut, sqrtPriceX96: sqrtPrice, exhausted: remaining > 0n };
+}
+
+/**
+ * Output of `amountIn` at the pool's current marginal price, net of fee and
+ * without price impact. Used as the reference for price-impact reporting.
+ */
+function v3SpotAmountOut(sqrtPriceX96, fee, zeroForOne, amountIn) {
+  const afterFee = (amountIn * (FEE_DENOMINATOR - BigInt(fee))) / FEE_DENOMINATOR;
+  const priceX192 = sqrtPriceX96 * sqrtPriceX96;
+  return zeroForOne ? (afterFee * priceX192) / Q192 : (afterFee * Q192) / priceX192;
+}
+
+// ── Uniswap V2 / SushiSwap ────────────────────────────────────────────────────
+
+/**
+ * Constant-product output, identical to UniswapV2Library.getAmountOut.
+ * @param {number} feeBps  Swap fee in basis points (30 = 0.3% for SushiSwap)
+ */
+function getAmountOutV2(amountIn, reserveIn, reserveOut, feeBps = 30) {
+  if (amountIn === 0n || reserveIn === 0n || reserveOut === 0n) return 0n;
+  const amountInWithFee = amountIn * BigInt(10000 - feeBps);
+  return (amountInWithFee * reserveOut) / (reserveIn * 10000n + amountInWithFee);
+}
+
+function v2SpotAmountOut(amountIn, reserveIn, reserveOut, feeBps = 30) {
+  return (amountIn * BigInt(10000 - feeBps) * reserveOut) / (reserveIn * 10000n);
+}
+
+/**
+ * Price impact in basis points of an actual output against the no-impact output.
+ */
+function priceImpactBps(spotOut, actualOut) {
+  if (spotOut === 0n || actualOut >= spotOut) return 0;
+  return Number(((spotOut - actualOut) * 10000n) / spotOut);
+}
+
+module.exports = {
+  Q96,
+  Q192,
+  MIN_TICK,
+  MAX_TICK,
+  getSqrtRatioAtTick,
+  computeSwapStep,
+  simulateV3Swap,
+  v3SpotAmountOut,
+  getAmountOutV2,
+  v2SpotAmountOut,
+  priceImpactBps,
+};
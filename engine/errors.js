@@ -0,0 +1,190 @@
+// engine/errors.js – Revert decoding for FlashLoanArbitrageV3 (custom errors, Aave codes, DEX reasons)
+'use strict';
+
+const fs         = require('fs');
+const path       = require('path');
+const { ethers } = require('ethers');
+
+// Hardhat artifact of the contract once compiled (`npx hardhat compile`)
+const ARTIFACT_PATH = path.join(
+  __dirname, '..', 'artifacts', 'contracts', 'v3', 'FlashLoanArbitrageV3.sol', 'FlashLoanArbitrageV3.json'
+);
+
+// Hand-written interface committed with the engine: the entry points and
+// events it uses and the OpenZeppelin errors the contract is expected to
+// inherit. It is not generated from the contract (whose source is not in this
+// repository), so the deployed contract's own ABI takes precedence and its
+// custom errors are only in that ABI.
+const INTERFACE_PATH = path.join(__dirname, '..', 'abi', 'FlashLoanArbitrageV3.json');
+
+// Aave V3 Errors.sol codes the flash-loan path can raise (reverts are the bare
+// numeric string, e.g. '29')
+const AAVE_ERRORS = {
+  13: 'INVALID_FLASHLOAN_EXECUTOR_RETURN',
+  26: 'INVALID_AMOUNT',
+  27: 'RESERVE_INACTIVE',
+  28: 'RESERVE_FROZEN',
+  29: 'RESERVE_PAUSED',
+  32: 'NOT_ENOUGH_AVAILABLE_USER_BALANCE',
+  49: 'INCONSISTENT_FLASHLOAN_PARAMS',
+  50: 'BORROW_CAP_EXCEEDED',
+  82: 'ASSET_NOT_LISTED',
+  91: 'FLASHLOAN_DISABLED',
+};
+
+// Error names / revert strings by category, checked in order against the
+// decoded reason (which ends with the innermost cause)
+const CATEGORIES = [
+  ['unauthorized',        /OwnableUnauthorizedAccount|caller is not the owner/i],
+  // The swaps returned less than the loan plus premium, so repayment failed
+  ['insufficient profit', /profit|ERC20InsufficientBalance|ERC20InsufficientAllowance|transfer amount exceeds balance|SafeERC20/i],
+  ['slippage',            /INSUFFICIENT_OUTPUT_AMOUNT|Too little received|fewer coins than expected|slippage|amountOutMin/i],
+  ['Aave revert',         /aave|flash ?loan|premium/i],
+  ['DEX revert',          /uniswap|sushi|pancake|camelot|curve|balancer|INSUFFICIENT_LIQUIDITY|^(STF|SPL|LOK|AS|IIA|TF|K)$|exchange|swap/i],
+];
+
+/**
+ * A decoded executeArbitrage revert.
+ *
+ * `category` is what the engine acts on (e.g. how long to back off the pair):
+ * 'insufficient profit', 'slippage', 'Aave revert', 'DEX revert',
+ * 'unauthorized', 'no trace' (simulation could not read the profit) or
+ * 'unknown'. `errorName`/`args` are the outermost custom error, `reason` the
+ * innermost human-readable cause and `aaveCode` the Aave error code, if any.
+ */
+class ArbRevertError extends Error {
+  constructor({ category, reason, errorName = null, args = [], aaveCode = null, selector = null, cause }) {
+    super(`${category}: ${reason}`, cause ? { cause } : undefined);
+    this.name      = 'ArbRevertError';
+    this.category  = category;
+    this.reason    = reason;
+    this.errorName = errorName;
+    this.args      = args;
+    this.aaveCode  = aaveCode;
+    this.selector  = selector;
+  }
+}
+
+// ABI path ('' for the default lookup) → loadArbAbi result
+const cachedAbis = new Map();
+
+/**
+ * ABI array from a JSON file holding either the bare ABI or a Hardhat artifact.
+ */
+function readAbi(file) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Array.isArray(json) ? json : json.abi;
+}
+
+/**
+ * The contract's full ABI: from `abiPath` (ARB_ABI_PATH) when given, else
+ * from its Hardhat artifact. Without either, only the hand-written committed
+ * interface is available and `complete` is false. Errors of the committed interface are
+ * added either way so they decode even if the full ABI omits them.
+ *
+ * @param {string} [abiPath] ABI or Hardhat artifact JSON of the deployed contract
+ * @returns {{abi: Array, source: string, complete: boolean}}
+ * @throws when `abiPath` is given but cannot be read
+ */
+function loadArbAbi(abiPath) {
+  const key = abiPath ?? '';
+  if (cachedAbis.has(key)) return cachedAbis.get(key);
+
+  const committed = readAbi(INTERFACE_PATH);
+  let abi = committed;
+  let source = INTERFACE_PATH;
+  let complete = true;
+  if (abiPath) {
+    try {
+      abi = readAbi(abiPath);
+    } catch (err) {
+      throw new Error(`Cannot read FlashLoanArbitrageV3 ABI from ${abiPath}: ${err.message}`);
+    }
+    source = abiPath;
+  } else if (fs.existsSync(ARTIFACT_PATH)) {
+    abi = readAbi(ARTIFACT_PATH);
+    source = ARTIFACT_PATH;
+  } else {
+    complete = false;
+  }
+
+  const declared = new ethers.Interface(abi);
+  const extra    = new ethers.Interface(committed).fragments
+    .filter((fragment) => fragment.type === 'error' && !declared.getError(fragment.name));
+  const loaded = { abi: [...declared.fragments, ...extra], source, complete };
+  cachedAbis.set(key, loaded);
+  return loaded;
+}
+
+/**
+ * Aave error name for a numeric revert string, or null.
+ */
+function aaveError(reason) {
+  return /^\d{1,3}$/.test(reason ?? '') ? (AAVE_ERRORS[reason] ?? `Aave error ${reason}`) : null;
+}
+
+/**
+ * Decode revert data: Error(string), Panic(uint256), or a custom error of
+ * `iface`. Custom errors carrying `bytes` (a wrapped DEX or token revert) are
+ * decoded recursively so the innermost reason is reported.
+ *
+ * @returns {{errorName, args, reason, selector, aaveCode} | null}
+ */
+function decodeRevertData(data, iface, depth = 0) {
+  if (!data || data === '0x' || depth > 3) return null;
+  const selector = data.slice(0, 10);
+  const parsed   = iface.parseError(data);
+  if (!parsed) {
+    return { errorName: null, args: [], reason: `custom error ${selector} (not in the loaded ABI)`, selector, aaveCode: null };
+  }
+
+  if (parsed.name === 'Error') {
+    const reason = String(parsed.args[0]);
+    const code   = aaveError(reason);
+    return { errorName: null, args: [], reason: code ? `${code} (${reason})` : reason, selector, aaveCode: code ? reason : null };
+  }
+  if (parsed.name === 'Panic') {
+    return { errorName: 'Panic', args: [...parsed.args], reason: `Panic(0x${parsed.args[0].toString(16)})`, selector, aaveCode: null };
+  }
+
+  const args = [...parsed.args];
+  let reason = `${parsed.name}(${args.map(String).join(', ')})`;
+  let aaveCode = null;
+  parsed.fragment.inputs.forEach((input, idx) => {
+    if (input.type !== 'bytes') return;
+    const inner = decodeRevertData(args[idx], iface, depth + 1);
+    if (inner) {
+      reason   = `${parsed.name}: ${inner.reason}`;
+      aaveCode = inner.aaveCode;
+    }
+  });
+  return { errorName: parsed.name, args, reason, selector, aaveCode };
+}
+
+/**
+ * Category of a decoded revert.
+ */
+function classify(decoded) {
+  if (decoded.aaveCode) return 'Aave revert';
+  const match = CATEGORIES.find(([, pattern]) => pattern.test(decoded.reason));
+  return match ? match[0] : 'unknown';
+}
+
+/**
+ * Turn an error from a contract call, staticCall or estimateGas into an
+ * ArbRevertError. Errors that are not reverts (network, nonce, …) are
+ * returned unchanged.
+ *
+ * @param {Error} err
+ * @param {ethers.Interface} iface  Contract interface (see loadArbAbi)
+ * @returns {Error}
+ */
+function decodeError(err, iface) {
+  if (err instanceof ArbRevertError || err?.code !== 'CALL_EXCEPTION') return err;
+  const data    = err.data ?? err.info?.error?.data ?? null;
+  const decoded = decodeRevertData(typeof data === 'string' ? data : null, iface)
+    ?? { errorName: null, args: [], reason: err.reason ?? err.shortMessage ?? err.message, selector: null, aaveCode: null };
+  return new ArbRevertError({ ...decoded, category: classify(decoded), cause: err });
+}
+
+module.exports = { ArbRevertError, loadArbAbi, decodeError, decodeRevertData, AAVE_ERRORS };
@@ -1,24 +1,149 @@
 // engine/executor.js – Arbitrage transaction executor
 'use strict';
 
+const crypto     = require('crypto');
 const { ethers } = require('ethers');
+const { simulationError } = require('./flashbots');
+const { DEX_IDS }         = require('./venues');
+const { ArbRevertError, loadArbAbi, decodeError } = require('./errors');
+const { NonceManager }    = require('./nonce');
 
-const ARB_CONTRACT_ABI = [
-  'function executeArbitrage(address asset, uint256 amount, bytes calldata arbParams) external',
-  'event ArbExecuted(address indexed tokenBorrow, uint256 amountBorrowed, uint256 profit)',
-  'event FlashLoanInitiated(address indexed asset, uint256 amount)',
+const QUOTER_V2_ABI = [
+  // Not view on chain (it simulates the swap and reverts internally); declared
+  // view so ethers sends it as eth_call
+  'function quoteExactInputSingle(tuple(address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) external view returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
 ];
 
+const V2_ROUTER_ABI = [
+  'function getAmountsOut(uint256 amountIn, address[] path) external view returns (uint256[] amounts)',
+];
+
+/**
+ * Key of a trade in flight: the pair, whichever token is borrowed.
+ */
+function tradeKey(tokenA, tokenB) {
+  return [tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join('/');
+}
+
+/**
+ * Every log emitted in a callTracer frame and its sub-calls, in order.
+ */
+function traceLogs(frame) {
+  return [...(frame.logs ?? []), ...(frame.calls ?? []).flatMap(traceLogs)];
+}
+
+/**
+ * Build the raw ArbParams fields for an opportunity: leg 1 swaps tokenA → tokenB
+ * on `buy`, leg 2 swaps tokenB → tokenA on `sell`. Curve legs carry the pool
+ * address and coin indices; the fee fields are only read for V3 legs. Both
+ * venues must carry a `dexId` (see engine/venues): other venues are quoted for
+ * detection only.
+ *
+ * @param {object} opportunity  From PoolScanner.findArbitrageOpportunities
+ * @returns {object} ArbParams fields with amountOutMin1/2 left at 0
+ */
+function buildArbParams(opportunity) {
+  const { buy, sell, tokenA, tokenB } = opportunity;
+  const curveLeg = (venue, tokenIn, tokenOut) => (venue.kind === 'curve'
+    ? {
+      pool: venue.pool,
+      i:    BigInt(venue.coinIndex[tokenIn.toLowerCase()]),
+      j:    BigInt(venue.coinIndex[tokenOut.toLowerCase()]),
+    }
+    : { pool: ethers.ZeroAddress, i: 0n, j: 0n });
+
+  const dex1 = buy.dexId;
+  const dex2 = sell.dexId;
+  if (!dex1 || !dex2) throw new Error(`${buy.source} → ${sell.source} is not executable by the deployed contract`);
+
+  const leg1 = curveLeg(buy, tokenA, tokenB);
+  const leg2 = curveLeg(sell, tokenB, tokenA);
+
+  return {
+    dex1,
+    dex2,
+    tokenBorrow:       tokenA,
+    tokenIntermediate: tokenB,
+    fee1:              buy.kind  === 'v3' ? buy.fee  : 3000,
+    fee2:              sell.kind === 'v3' ? sell.fee : 3000,
+    curvePool1:        leg1.pool,
+    curvePool2:        leg2.pool,
+    curveI1:           leg1.i,
+    curveJ1:           leg1.j,
+    curveI2:           leg2.i,
+    curveJ2:           leg2.j,
+    amountOutMin1:     0n,
+    amountOutMin2:     0n,
+  };
+}
+
 class ArbExecutor {
   /**
    * @param {ethers.Wallet}  wallet          Signing wallet
    * @param {string}         contractAddress  Deployed FlashLoanArbitrageV3 address
    * @param {object}         chainConfig      From engine/config.js
+   * @param {object}         [options]
+   * @param {FlashbotsProvider} [options.flashbots] Submit privately as bundles when set
+   * @param {number}         [options.targetBlocks]   Consecutive blocks each bundle targets (default 3)
+   * @param {string}         [options.fallback]       'public' to broadcast normally when no bundle lands, 'none' to give up
+   * @param {number}         [options.pollIntervalMs] Inclusion polling interval (default 1000)
+   * @param {object}         [options.logger]         console-like sink (defaults to console)
+   * @param {number}         [options.quoteToleranceBps] Largest local vs on-chain quote gap per leg (default 10)
+   * @param {object}         [options.nonce]          NonceManager options (timeoutBlocks, feeBumpPercent, stuckAction)
+   * @param {string}         [options.abiPath]        ABI or Hardhat artifact JSON of the deployed contract (see loadArbAbi)
    */
-  constructor(wallet, contractAddress, chainConfig) {
+  constructor(wallet, contractAddress, chainConfig, options = {}) {
     this.wallet     = wallet;
     this.chainConfig = chainConfig;
-    this.contract   = new ethers.Contract(contractAddress, ARB_CONTRACT_ABI, wallet);
+    // Full ABI so the contract's custom errors decode by name
+    const { abi, source, complete } = loadArbAbi(options.abiPath);
+    this.contract   = new ethers.Contract(contractAddress, abi, wallet);
+    this.flashbots  = options.flashbots ?? null;
+    this.logger     = options.logger ?? console;
+    this.quoteToleranceBps = options.quoteToleranceBps ?? 10;
+    // Every transaction from the wallet takes its nonce here, so stuck ones can be replaced
+    this.nonces     = new NonceManager(wallet, { ...options.nonce, logger: this.logger });
+    if (!complete) {
+      this.logger.error(
+        `⛔  [executor] Full FlashLoanArbitrageV3 ABI not found, using the interface in ${source}: the contract's ` +
+        'own custom errors will only be reported by selector. Set ARB_ABI_PATH to its ABI or Hardhat artifact, ' +
+        'or compile it (`npx hardhat compile`; the source contracts/FlashLoanArbitrageV3.sol must be present).'
+      );
+    }
+    this.privatePolicy = {
+      targetBlocks:   options.targetBlocks   ?? 3,
+      fallback:       options.fallback       ?? 'none',
+      pollIntervalMs: options.pollIntervalMs ?? 1000,
+    };
+    // Private-submission outcomes for this session
+    this.bundleStats = { submitted: 0, included: 0, notIncluded: 0, superseded: 0 };
+    // tradeKey → { key, uuids, txHash, nonce, superseded } while a bundle awaits inclusion
+    this.pendingBundles = new Map();
+    // tradeKey → { hash, settled } for every trade sent and not yet settled
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Whether a trade on the opportunity's pair can be sent now. A pair with a
+   * transaction in flight waits for it to settle, except that a newer
+   * opportunity supersedes a bundle still awaiting inclusion. Private mode
+   * keeps one bundle pending at a time: each takes the wallet's next nonce,
+   * so a bundle for another pair could not land before it.
+   */
+  accepts(opportunity) {
+    const key = tradeKey(opportunity.tokenA, opportunity.tokenB);
+    if ([...this.pendingBundles.keys()].some((k) => k !== key)) return false;
+    return !this.inFlight.has(key) || this.pendingBundles.has(key);
+  }
+
+  /**
+   * Share of private submissions included on chain this session (0–1), or null
+   * before the first bundle resolves.
+   */
+  bundleInclusionRate() {
+    const { included, notIncluded } = this.bundleStats;
+    const resolved = included + notIncluded;
+    return resolved === 0 ? null : included / resolved;
   }
 
   /**
@@ -39,31 +164,187 @@ class ArbExecutor {
 
   /**
    * Estimate gas for a trade and add a safety buffer.
+   * @throws {ArbRevertError} when the trade would revert
    */
   async estimateGas(asset, amount, arbParams) {
-    const estimate = await this.contract.executeArbitrage.estimateGas(
-      asset,
-      amount,
-      arbParams
-    );
+    let estimate;
+    try {
+      estimate = await this.contract.executeArbitrage.estimateGas(asset, amount, arbParams);
+    } catch (err) {
+      throw decodeError(err, this.contract.interface);
+    }
     return (estimate * 130n) / 100n; // +30% buffer
   }
 
   /**
-   * Execute an arbitrage trade.
+   * Exact on-chain quote of one leg: QuoterV2 quoteExactInputSingle for V3
+   * venues, the router's getAmountsOut for V2 venues. Curve and Balancer legs
+   * are already quoted on chain by the scanner, so they have no reference.
+   * @returns {Promise<{amountOut: bigint, via: string} | null>}
+   */
+  async onChainQuote(venue, tokenIn, tokenOut, amountIn) {
+    const config   = this.chainConfig.venues?.[venue.source] ?? {};
+    const provider = this.wallet.provider;
+    if (venue.kind === 'v3' && config.quoter) {
+      const quoter = new ethers.Contract(config.quoter, QUOTER_V2_ABI, provider);
+      const res = await quoter.quoteExactInputSingle({ tokenIn, tokenOut, amountIn, fee: venue.fee, sqrtPriceLimitX96: 0n });
+      return { amountOut: res.amountOut, via: 'QuoterV2' };
+    }
+    if (venue.kind === 'v2' && config.router) {
+      const router  = new ethers.Contract(config.router, V2_ROUTER_ABI, provider);
+      const amounts = await router.getAmountsOut(amountIn, [tokenIn, tokenOut]);
+      return { amountOut: amounts[amounts.length - 1], via: 'getAmountsOut' };
+    }
+    return null;
+  }
+
+  /**
+   * Confirm the scanner's local quotes of both legs against exact on-chain
+   * quotes before sending. Each leg is checked on its own: leg 2 is quoted on
+   * chain with the local leg 1 output as its input. A gap above
+   * `quoteToleranceBps` points at a bug in the local math or stale pool state,
+   * so the mismatch is logged and the trade should be dropped.
+   *
+   * @param {object} opportunity  From PoolScanner.findArbitrageOpportunities
+   * @param {bigint} loanAmount
+   * @param {{quote1: bigint, quote2: bigint}} local  Fresh local leg outputs (computeMinOuts)
+   * @returns {Promise<{ok: boolean, legs: Array<{leg, source, via, local, onChain, gapBps}>}>}
+   */
+  async crossCheck(opportunity, loanAmount, local) {
+    const { buy, sell, tokenA, tokenB } = opportunity;
+    const checks = [
+      { leg: 1, venue: buy,  tokenIn: tokenA, tokenOut: tokenB, amountIn: loanAmount,   local: local.quote1 },
+      { leg: 2, venue: sell, tokenIn: tokenB, tokenOut: tokenA, amountIn: local.quote1, local: local.quote2 },
+    ];
+
+    const legs = [];
+    let ok = true;
+    for (const c of checks) {
+      let quote;
+      try {
+        quote = await this.onChainQuote(c.venue, c.tokenIn, c.tokenOut, c.amountIn);
+      } catch (err) {
+        this.logger.error(`[executor] On-chain quote failed for leg ${c.leg} on ${c.venue.source}: ${err.shortMessage ?? err.message}`);
+        return { ok: false, legs };
+      }
+      if (!quote) continue;
+
+      const gapBps = quote.amountOut === 0n
+        ? Infinity
+        : Number(((c.local - quote.amountOut) * 10000n) / quote.amountOut);
+      legs.push({ leg: c.leg, source: c.venue.source, via: quote.via, local: c.local, onChain: quote.amountOut, gapBps });
+      if (Math.abs(gapBps) > this.quoteToleranceBps) {
+        ok = false;
+        this.logger.warn(
+          `⚠️  [executor] Quote mismatch on leg ${c.leg} (${c.venue.source}): local ${c.local} vs ${quote.via} ` +
+          `${quote.amountOut} (${gapBps} bps, tolerance ${this.quoteToleranceBps})`
+        );
+      }
+    }
+    return { ok, legs };
+  }
+
+  /**
+   * Fail fast when the RPC cannot trace calls: without debug_traceCall no
+   * simulation can confirm a profit, so every trade would be rejected.
+   * Traces an empty call from the wallet to itself.
+   * @throws {Error} when the RPC rejects debug_traceCall
+   */
+  async checkTraceSupport() {
+    try {
+      await this.wallet.provider.send('debug_traceCall', [
+        { from: this.wallet.address, to: this.wallet.address, data: '0x' },
+        'latest',
+        { tracer: 'callTracer', tracerConfig: { withLog: true } },
+      ]);
+    } catch (err) {
+      throw new Error(
+        `RPC does not support debug_traceCall, which live trading needs to verify a trade's profit ` +
+        `before sending it (${err.error?.message ?? err.shortMessage ?? err.message}) – use an RPC with the debug namespace enabled`
+      );
+    }
+  }
+
+  /**
+   * Dry-run executeArbitrage from the owner against the pending block.
+   *
+   * A staticCall surfaces the revert reason or custom error when the trade
+   * would fail. The contract returns nothing, so on success the call is
+   * replayed with debug_traceCall (callTracer with logs) to read the profit
+   * from its ArbExecuted event; a trace that fails leaves the profit
+   * unverified and the trade is rejected (the runner checks the RPC supports
+   * debug_traceCall at startup, see checkTraceSupport).
+   *
+   * @returns {Promise<{ok: boolean, profit: bigint|null, error: ArbRevertError|null}>}
+   *   profit in asset units; error (see engine/errors.js) when rejected
+   */
+  async simulate(asset, amount, encoded, gasLimit) {
+    try {
+      await this.contract.executeArbitrage.staticCall(asset, amount, encoded, { blockTag: 'pending', gasLimit });
+    } catch (err) {
+      const error = decodeError(err, this.contract.interface);
+      if (!(error instanceof ArbRevertError)) throw error;
+      return { ok: false, profit: null, error };
+    }
+    const unverified = (reason) => ({ ok: false, profit: null, error: new ArbRevertError({ category: 'no trace', reason }) });
+
+    const tx = await this.contract.executeArbitrage.populateTransaction(asset, amount, encoded);
+    let trace;
+    try {
+      trace = await this.wallet.provider.send('debug_traceCall', [
+        { from: this.wallet.address, to: tx.to, data: tx.data, gas: ethers.toQuantity(gasLimit) },
+        'pending',
+        { tracer: 'callTracer', tracerConfig: { withLog: true } },
+      ]);
+    } catch (err) {
+      return unverified(`debug_traceCall failed: ${err.error?.message ?? err.shortMessage ?? err.message}`);
+    }
+
+    const target = tx.to.toLowerCase();
+    for (const log of traceLogs(trace)) {
+      if (log.address?.toLowerCase() !== target) continue;
+      const parsed = this.contract.interface.parseLog({ topics: log.topics, data: log.data });
+      if (parsed?.name === 'ArbExecuted') {
+        return { ok: true, profit: parsed.args.profit, error: null };
+      }
+    }
+    return unverified('no ArbExecuted event in the trace');
+  }
+
+  /**
+   * Execute an arbitrage trade. The trade is simulated first (see simulate)
+   * and only sent when it succeeds with at least `minProfit`.
    * @param {object} opportunity  From PoolScanner.findArbitrageOpportunities
    * @param {bigint} loanAmount   Amount to borrow in wei
    * @param {object} arbParamsObj Raw ArbParams fields
-   * @returns {ethers.TransactionReceipt}
+   * @param {object} [options]
+   * @param {bigint} [options.gasLimit]  Pre-computed gas limit (skips estimateGas)
+   * @param {bigint} [options.minProfit] Smallest simulated ArbExecuted profit to send, in
+   *                                     tokenBorrow units (default 0: any profit)
+   * @returns {Promise<{hash: string, settled: Promise<ethers.TransactionReceipt>}>}
+   *   Resolves once the trade is sent; `settled` resolves with its receipt, or
+   *   rejects when it reverts, is cancelled or is not included
+   * @throws {ArbRevertError} when the simulation reverts or the node rejects the transaction
    */
-  async execute(opportunity, loanAmount, arbParamsObj) {
+  async execute(opportunity, loanAmount, arbParamsObj, options = {}) {
     const encoded  = this.encodeArbParams(arbParamsObj);
-    const gasLimit = await this.estimateGas(
+    const gasLimit = options.gasLimit ?? await this.estimateGas(
       arbParamsObj.tokenBorrow,
       loanAmount,
       encoded
     );
 
+    const minProfit = options.minProfit ?? 0n;
+    const sim = await this.simulate(arbParamsObj.tokenBorrow, loanAmount, encoded, gasLimit);
+    if (sim.ok && sim.profit < minProfit) {
+      throw new ArbRevertError({
+        category: 'insufficient profit',
+        reason:   `simulated profit ${sim.profit} below required ${minProfit}`,
+      });
+    }
+    if (!sim.ok) throw sim.error;
+    this.logger.log(`[executor] Simulation ok: profit ${sim.profit} (required ${minProfit})`);
+
     const feeData  = await this.wallet.provider.getFeeData();
 
     // Build fee overrides in a way that is compatible with both EIP-1559 and
@@ -76,18 +357,249 @@ class ArbExecutor {
       txOptions.gasPrice = feeData.gasPrice;
     }
 
-    const tx = await this.contract.executeArbitrage(
-      arbParamsObj.tokenBorrow,
+    // Logged with every outcome so filled and rejected trades can be audited
+    const bounds = `minOut1=${arbParamsObj.amountOutMin1} minOut2=${arbParamsObj.amountOutMin2}`;
+
+    const key = tradeKey(arbParamsObj.tokenBorrow, arbParamsObj.tokenIntermediate);
+    const trade = this.flashbots
+      ? await this.executePrivate(arbParamsObj.tokenBorrow, loanAmount, encoded, txOptions, bounds, key)
+      : await this.executePublic(arbParamsObj.tokenBorrow, loanAmount, encoded, txOptions, bounds);
+
+    this.inFlight.set(key, trade);
+    trade.settled
+      .finally(() => {
+        if (this.inFlight.get(key) === trade) this.inFlight.delete(key);
+      })
+      .catch(() => {}); // outcome handled by the caller
+    return trade;
+  }
+
+  /**
+   * Broadcast the trade at the next nonce; it is waited on (and replaced when
+   * stuck) in the background.
+   */
+  async executePublic(asset, loanAmount, encoded, txOptions, bounds) {
+    const txRequest = await this.contract.executeArbitrage.populateTransaction(
+      asset,
       loanAmount,
       encoded,
       txOptions
     );
+    let pending;
+    try {
+      pending = await this.nonces.send(txRequest);
+    } catch (err) {
+      this.logger.error(`[executor] tx rejected before broadcast | ${bounds}`);
+      throw decodeError(err, this.contract.interface);
+    }
+
+    this.logger.log(`[executor] tx sent: ${pending.hash} | ${bounds}`);
+    return { hash: pending.hash, settled: this.waitForReceipt(pending, bounds) };
+  }
 
-    console.log(`[executor] tx sent: ${tx.hash}`);
-    const receipt = await tx.wait();
-    console.log(`[executor] confirmed in block ${receipt.blockNumber}`);
+  /**
+   * Wait for a tracked transaction (see NonceManager.wait), which replaces or
+   * cancels it when it stays pending too long.
+   * @throws when it reverted, was cancelled or could not be confirmed
+   */
+  async waitForReceipt(pending, bounds) {
+    let receipt;
+    try {
+      receipt = await this.nonces.wait(pending);
+    } catch (err) {
+      this.logger.error(`[executor] tx failed: ${pending.hash} | ${bounds}`);
+      throw err;
+    }
+    if (pending.state === 'cancelled') {
+      this.logger.warn(`[executor] tx cancelled in block ${receipt.blockNumber}: ${pending.hash} | ${bounds}`);
+      throw new Error(`Transaction cancelled after ${pending.replacements} replacement(s)`);
+    }
+    if (receipt.status === 0) {
+      this.logger.error(`[executor] tx reverted in block ${receipt.blockNumber}: ${receipt.hash} | ${bounds}`);
+      throw new Error(`Transaction ${receipt.hash} reverted`);
+    }
+    this.logger.log(`[executor] confirmed in block ${receipt.blockNumber}: ${receipt.hash} | ${bounds}`);
     return receipt;
   }
+
+  /**
+   * Sign the trade, simulate it through the primary relay and submit it as a
+   * bundle to every relay for the next `targetBlocks` blocks. If none of them
+   * includes it, either broadcast the same signed tx publicly or give up, per
+   * `privatePolicy.fallback`.
+   *
+   * Each target block's bundle is a separate eth_sendBundle with its own
+   * replacementUuid (relays replace by uuid, so sharing one would leave only
+   * the last block targeted). Bundles are keyed by pair: a newer opportunity
+   * on the same pair reuses the pending bundle's uuid for every block both
+   * target so relays swap the old bundle out, and a stale pending bundle is
+   * cancelled with eth_cancelBundle when the newer trade fails simulation.
+   *
+   * @returns {Promise<{hash: string, settled: Promise<ethers.TransactionReceipt>}>}
+   *   Resolves once the bundle is simulated; submission and inclusion are settled in the background
+   */
+  async executePrivate(asset, loanAmount, encoded, txOptions, bounds, key) {
+    const provider  = this.wallet.provider;
+    const previous  = this.pendingBundles.get(key);
+    // A bundle that supersedes another spends the same nonce
+    const nonce     = previous?.nonce ?? await this.nonces.next();
+    let txRequest, signedTx, txHash, blockNumber;
+    try {
+      txRequest = await this.contract.executeArbitrage.populateTransaction(
+        asset,
+        loanAmount,
+        encoded,
+        txOptions
+      );
+      signedTx = await this.wallet.signTransaction(await this.wallet.populateTransaction({ ...txRequest, nonce }));
+      txHash   = ethers.keccak256(signedTx);
+
+      blockNumber = await provider.getBlockNumber();
+      const sim = await this.flashbots.simulate([signedTx], blockNumber + 1);
+      const simErr = simulationError(sim);
+      if (simErr) {
+        this.logger.error(`[executor] bundle simulation failed: ${simErr} | ${bounds}`);
+        // The market moved against this pair, so the older bundle is stale too
+        if (previous) await this.cancelPending(key);
+        throw new Error(`Bundle simulation failed: ${simErr}`);
+      }
+    } catch (err) {
+      // Nothing was submitted: hand the nonce back unless the bundle being
+      // superseded still holds it
+      if (!previous || previous.superseded) this.nonces.release(nonce);
+      throw err;
+    }
+
+    // target block → replacementUuid; blocks only the older bundle targeted are already past
+    const uuids = new Map();
+    for (let target = blockNumber + 1; target <= blockNumber + this.privatePolicy.targetBlocks; target++) {
+      uuids.set(target, previous?.uuids.get(target) ?? crypto.randomUUID());
+    }
+    if (previous) {
+      previous.superseded = true;
+      this.logger.log(`[executor] superseding bundle ${previous.txHash} with ${txHash}`);
+    }
+    const entry = { key, uuids, txHash, nonce, superseded: false };
+    this.pendingBundles.set(key, entry);
+
+    const settled = this.submitBundle(signedTx, txRequest, txHash, blockNumber, entry, bounds);
+    settled
+      .finally(() => {
+        if (this.pendingBundles.get(key) === entry) this.pendingBundles.delete(key);
+      })
+      .catch(() => {}); // outcome handled by the caller
+    return { hash: txHash, settled };
+  }
+
+  async submitBundle(signedTx, txRequest, txHash, blockNumber, entry, bounds) {
+    const { targetBlocks, fallback, pollIntervalMs } = this.privatePolicy;
+    const provider   = this.wallet.provider;
+    const lastTarget = blockNumber + targetBlocks;
+
+    let bundleHash = null;
+    for (let target = blockNumber + 1; target <= lastTarget; target++) {
+      // The newer bundle already targets the remaining blocks under their uuids
+      if (entry.superseded) {
+        this.logger.log(`[executor] bundle ${txHash} superseded, not sending blocks ${target}–${lastTarget}`);
+        break;
+      }
+      let res;
+      try {
+        res = await this.flashbots.sendBundle([signedTx], target, { replacementUuid: entry.uuids.get(target) });
+      } catch (err) {
+        // AggregateError: no relay accepted the bundle for this block
+        const reasons = (err.errors ?? []).map((e) => e.message).join('; ');
+        this.logger.error(`[executor] bundle rejected for block ${target}: ${reasons || err.message}`);
+        continue;
+      }
+      bundleHash = res.bundleHash ?? bundleHash;
+      for (const r of res.responses) {
+        if (!r.ok) this.logger.warn(`[executor] relay ${r.relay} block ${target}: ${r.error}`);
+      }
+      const accepted = res.responses.filter((r) => r.ok).map((r) => `${r.relay} ${r.latencyMs}ms`);
+      this.logger.log(`[executor] block ${target} accepted by ${accepted.join(', ')}`);
+    }
+    this.bundleStats.submitted++;
+    if (!entry.superseded) {
+      this.logger.log(
+        `[executor] bundle sent: ${txHash} (${bundleHash}) → blocks ${blockNumber + 1}–${lastTarget} | ${bounds}`
+      );
+    }
+
+    const receipt = await this.waitForInclusion(txHash, lastTarget, pollIntervalMs, entry);
+    if (receipt) {
+      this.bundleStats.included++;
+      this.logger.log(`[executor] bundle included in block ${receipt.blockNumber}: ${txHash} | ${bounds}`);
+      return receipt;
+    }
+
+    if (entry.superseded) {
+      this.bundleStats.superseded++;
+      throw new Error(`Bundle ${txHash} superseded by a newer opportunity`);
+    }
+
+    this.bundleStats.notIncluded++;
+    if (bundleHash) {
+      try {
+        const stats = await this.flashbots.getBundleStats(bundleHash, lastTarget);
+        this.logger.warn(`[executor] bundle stats ${bundleHash}: ${JSON.stringify(stats)}`);
+      } catch (err) {
+        this.logger.warn(`[executor] bundle stats unavailable: ${err.message}`);
+      }
+    }
+
+    if (fallback !== 'public') {
+      this.logger.error(`[executor] bundle not included by block ${lastTarget}, giving up: ${txHash} | ${bounds}`);
+      this.nonces.release(entry.nonce);
+      throw new Error(`Bundle not included by block ${lastTarget}`);
+    }
+
+    this.logger.warn(`[executor] bundle not included by block ${lastTarget}, broadcasting publicly: ${txHash}`);
+    // Its nonce is spent now, so a newer opportunity can no longer supersede it
+    if (this.pendingBundles.get(entry.key) === entry) this.pendingBundles.delete(entry.key);
+    const tx = await provider.broadcastTransaction(signedTx);
+    this.logger.log(`[executor] tx sent: ${tx.hash} | ${bounds}`);
+    return this.waitForReceipt(await this.nonces.track(tx, txRequest), bounds);
+  }
+
+  /**
+   * Cancel the pending bundle for a pair (every target block's uuid) on every
+   * relay and stop waiting on it.
+   */
+  async cancelPending(key) {
+    const entry = this.pendingBundles.get(key);
+    if (!entry) return;
+    entry.superseded = true;
+    this.pendingBundles.delete(key);
+    await Promise.all([...entry.uuids].map(async ([target, uuid]) => {
+      try {
+        const responses = await this.flashbots.cancelBundle(uuid);
+        const ok = responses.filter((r) => r.ok).map((r) => r.relay);
+        this.logger.log(`[executor] bundle ${entry.txHash} for block ${target} cancelled on ${ok.join(', ')}`);
+      } catch (err) {
+        this.logger.error(`[executor] eth_cancelBundle failed for ${entry.txHash} block ${target}: ${err.message}`);
+      }
+    }));
+  }
+
+  /**
+   * Poll for a receipt until the chain moves past `lastBlock`, or until the
+   * bundle is superseded.
+   * @returns {Promise<ethers.TransactionReceipt|null>}
+   */
+  async waitForInclusion(txHash, lastBlock, pollIntervalMs, entry) {
+    const provider = this.wallet.provider;
+    for (;;) {
+      const receipt = await provider.getTransactionReceipt(txHash);
+      if (receipt) return receipt;
+      if (entry.superseded) return null;
+      if (await provider.getBlockNumber() > lastBlock) {
+        // The last target block may have landed between the two calls
+        return provider.getTransactionReceipt(txHash);
+      }
+      await new Promise((resolve) => setTimeout(resolve, pollIntervalMs));
+    }
+  }
 }
 
-module.exports = { ArbExecutor };
+module.exports = { ArbExecutor, buildArbParams, DEX_IDS };
@@ -0,0 +1,24 @@
+// engine/fees.js – Swap fees charged by the venues a trade routes through
+'use strict';
+
+/**
+ * Fee in basis points charged when `tokenIn` is sold into a V2-style pair.
+ * Dynamic-fee pairs (Camelot) carry `feeBps` for token0 → token1 and
+ * `feeBps1` for the reverse; other pairs charge `feeBps` both ways.
+ */
+function inputFeeBps(venue, tokenIn) {
+  const zeroForOne = venue.token0.toLowerCase() === tokenIn.toLowerCase();
+  return zeroForOne ? venue.feeBps : (venue.feeBps1 ?? venue.feeBps);
+}
+
+/**
+ * Swap fee charged by a venue on `amount` of `tokenIn` sold into it, in
+ * `tokenIn` units: V2-style `feeBps` (per direction, see inputFeeBps) or
+ * `fee` in pips (hundredths of a bip) for V3, Curve and Balancer pools.
+ */
+function swapFee(venue, tokenIn, amount) {
+  if (venue.feeBps != null) return (amount * BigInt(inputFeeBps(venue, tokenIn))) / 10000n;
+  return (amount * BigInt(venue.fee ?? 0)) / 1_000_000n;
+}
+
+module.exports = { inputFeeBps, swapFee };
@@ -4,41 +4,52 @@
 const { ethers }   = require('ethers');
 
 const FLASHBOTS_RPC = 'https://relay.flashbots.net';
+// Per-relay request timeout; a slow builder must not hold up the others
+const RELAY_TIMEOUT_MS = 3000;
 
 /**
  * FlashbotsProvider wraps a standard provider and adds bundle submission
- * to the Flashbots relay via the eth_sendBundle JSON-RPC method.
+ * to Flashbots-compatible builder relays via the eth_sendBundle JSON-RPC method.
+ * Bundles are fanned out to every configured relay; simulation and stats calls
+ * go to the first (primary) relay, which must be a Flashbots relay.
  *
- * Only available on Ethereum mainnet (chainId 1).
+ * Only available on chains with a `relays` list in engine/config.js.
  */
 class FlashbotsProvider {
   /**
    * @param {ethers.Provider} provider   Underlying JSON-RPC provider.
    * @param {ethers.Wallet}   authSigner Wallet used to sign Flashbots requests.
+   * @param {Array<{name: string, url: string}>|string} [relays]
+   *   Relay endpoints (defaults to relay.flashbots.net). A bare URL is treated
+   *   as a single relay, e.g. a local stub relay for testing.
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs] Per-relay request timeout (default 3000)
    */
-  constructor(provider, authSigner) {
+  constructor(provider, authSigner, relays = [{ name: 'flashbots', url: FLASHBOTS_RPC }], options = {}) {
     this.provider   = provider;
     this.authSigner = authSigner;
+    this.relays     = typeof relays === 'string' ? [{ name: 'relay', url: relays }] : relays;
+    if (this.relays.length === 0) throw new Error('FlashbotsProvider: no relays configured');
+    this.timeoutMs  = options.timeoutMs ?? RELAY_TIMEOUT_MS;
+    // name → { ok, failed, timeouts, lastLatencyMs }
+    this.relayStats = Object.fromEntries(
+      this.relays.map((r) => [r.name, { ok: 0, failed: 0, timeouts: 0, lastLatencyMs: null }])
+    );
+  }
+
+  get primaryRelay() {
+    return this.relays[0];
   }
 
   /**
-   * Sign and submit a bundle to the Flashbots relay.
-   *
-   * @param {string[]} signedTxs   Array of signed raw transactions.
-   * @param {number}   targetBlock Block number to target.
-   * @returns {Promise<object>}   Flashbots relay response.
+   * Sign a JSON-RPC request with the auth signer and POST it to one relay.
    */
-  async sendBundle(signedTxs, targetBlock) {
+  async request(method, params, relay = this.primaryRelay) {
     const body = JSON.stringify({
       jsonrpc: '2.0',
       id:      '1',
-      method:  'eth_sendBundle',
-      params:  [
-        {
-          txs:         signedTxs,
-          blockNumber: ethers.toBeHex(targetBlock),
-        },
-      ],
+      method,
+      params,
     });
 
     // ethers v6: signMessage() treats a string as UTF-8 text.
@@ -49,55 +60,171 @@ class FlashbotsProvider {
       'X-Flashbots-Signature': `${await this.authSigner.getAddress()}:${signature}`,
     };
 
-    const response = await fetch(FLASHBOTS_RPC, {
+    const response = await fetch(relay.url, {
       method:  'POST',
       headers,
       body,
+      signal:  AbortSignal.timeout(this.timeoutMs),
     });
 
     if (!response.ok) {
-      throw new Error(`Flashbots relay error: ${response.status} ${response.statusText}`);
+      throw new Error(`${relay.name} ${method} error: ${response.status} ${response.statusText}`);
     }
 
-    return response.json();
+    const json = await response.json();
+    if (json.error) {
+      throw new Error(`${relay.name} ${method} error: ${json.error.message ?? JSON.stringify(json.error)}`);
+    }
+    return json;
   }
 
   /**
-   * Simulate a bundle without submitting it.
+   * Send the same request to every relay in parallel.
+   *
+   * @returns {Promise<Array<{relay: string, ok: boolean, result?: any, error?: string, latencyMs: number}>>}
+   * @throws {AggregateError} when every relay failed
    */
-  async simulate(signedTxs, blockNumber) {
-    const body = JSON.stringify({
-      jsonrpc: '2.0',
-      id:      '1',
-      method:  'eth_callBundle',
-      params:  [
-        {
-          txs:              signedTxs,
-          blockNumber:      ethers.toBeHex(blockNumber),
-          stateBlockNumber: 'latest',
-        },
-      ],
-    });
+  async broadcast(method, params) {
+    const responses = await Promise.all(this.relays.map(async (relay) => {
+      const started = Date.now();
+      const stats   = this.relayStats[relay.name];
+      try {
+        const json = await this.request(method, params, relay);
+        stats.ok++;
+        stats.lastLatencyMs = Date.now() - started;
+        return { relay: relay.name, ok: true, result: json.result, latencyMs: stats.lastLatencyMs };
+      } catch (err) {
+        const timedOut = err.name === 'TimeoutError';
+        if (timedOut) stats.timeouts++;
+        else stats.failed++;
+        return {
+          relay:     relay.name,
+          ok:        false,
+          error:     timedOut ? `timed out after ${this.timeoutMs}ms` : err.message,
+          latencyMs: Date.now() - started,
+        };
+      }
+    }));
 
-    // ethers v6: sign the digest bytes, not the hex string.
-    const signature = await this.authSigner.signMessage(ethers.getBytes(ethers.id(body)));
-    const headers   = {
-      'Content-Type':         'application/json',
-      'X-Flashbots-Signature': `${await this.authSigner.getAddress()}:${signature}`,
+    const failed = responses.filter((r) => !r.ok);
+    if (failed.length === responses.length) {
+      throw new AggregateError(
+        failed.map((r) => new Error(`${r.relay}: ${r.error}`)),
+        `${method} failed on all ${responses.length} relays`
+      );
+    }
+    return responses;
+  }
+
+  /**
+   * Sign and submit a bundle to every configured relay.
+   *
+   * @param {string[]} signedTxs   Array of signed raw transactions.
+   * @param {number}   targetBlock Block number to target.
+   * @param {object}   [options]
+   * @param {string}   [options.replacementUuid] Lets a later bundle with the same
+   *                                             UUID replace or cancel this one.
+   * @returns {Promise<{bundleHash: string|null, responses: object[]}>}
+   *   Per-relay responses (see broadcast); bundleHash from the first relay that returned one.
+   */
+  async sendBundle(signedTxs, targetBlock, options = {}) {
+    const bundle = {
+      txs:         signedTxs,
+      blockNumber: ethers.toBeHex(targetBlock),
     };
+    if (options.replacementUuid) bundle.replacementUuid = options.replacementUuid;
 
-    const response = await fetch(FLASHBOTS_RPC, {
-      method:  'POST',
-      headers,
-      body,
-    });
+    const responses  = await this.broadcast('eth_sendBundle', [bundle]);
+    const bundleHash = responses.find((r) => r.ok && r.result?.bundleHash)?.result.bundleHash ?? null;
+    return { bundleHash, responses };
+  }
 
-    if (!response.ok) {
-      throw new Error(`Flashbots simulate error: ${response.status} ${response.statusText}`);
+  /**
+   * Cancel every bundle submitted with `replacementUuid` on all relays.
+   * @returns {Promise<object[]>} Per-relay responses (see broadcast)
+   */
+  async cancelBundle(replacementUuid) {
+    return this.broadcast('eth_cancelBundle', [{ replacementUuid }]);
+  }
+
+  /**
+   * Relay-side status of a submitted bundle (simulated, sent to builders, …).
+   *
+   * @param {string} bundleHash  `bundleHash` returned by eth_sendBundle.
+   * @param {number} blockNumber Block the bundle targeted.
+   */
+  async getBundleStats(bundleHash, blockNumber) {
+    const json = await this.request('flashbots_getBundleStats', [
+      {
+        bundleHash,
+        blockNumber: ethers.toBeHex(blockNumber),
+      },
+    ]);
+    return json.result;
+  }
+
+  /**
+   * Reputation statistics for the auth signer: high-priority status, and the
+   * miner payments (wei) and gas simulated over the last day, the last 7 days
+   * and all time.
+   *
+   * @param {number} blockNumber Recent block number.
+   * @returns {Promise<{isHighPriority: boolean, allTimeMinerPayments: bigint, allTimeGasSimulated: bigint,
+   *   last7dMinerPayments: bigint, last7dGasSimulated: bigint, last1dMinerPayments: bigint, last1dGasSimulated: bigint}>}
+   * @throws {Error} when the relay's answer is not a stats object
+   */
+  async getUserStats(blockNumber) {
+    const json = await this.request('flashbots_getUserStats', [
+      {
+        blockNumber: ethers.toBeHex(blockNumber),
+      },
+    ]);
+    const stats = json.result;
+    if (stats == null || typeof stats !== 'object') {
+      throw new Error('flashbots_getUserStats: no stats in response');
     }
+    // Amounts come back as decimal strings
+    const amount = (field) => {
+      try {
+        return BigInt(stats[field]);
+      } catch {
+        throw new Error(`flashbots_getUserStats: invalid ${field} in response`);
+      }
+    };
+    return {
+      isHighPriority:       stats.is_high_priority === true,
+      allTimeMinerPayments: amount('all_time_miner_payments'),
+      allTimeGasSimulated:  amount('all_time_gas_simulated'),
+      last7dMinerPayments:  amount('last_7d_miner_payments'),
+      last7dGasSimulated:   amount('last_7d_gas_simulated'),
+      last1dMinerPayments:  amount('last_1d_miner_payments'),
+      last1dGasSimulated:   amount('last_1d_gas_simulated'),
+    };
+  }
 
-    return response.json();
+  /**
+   * Simulate a bundle without submitting it.
+   */
+  async simulate(signedTxs, blockNumber) {
+    return this.request('eth_callBundle', [
+      {
+        txs:              signedTxs,
+        blockNumber:      ethers.toBeHex(blockNumber),
+        stateBlockNumber: 'latest',
+      },
+    ]);
   }
 }
 
-module.exports = { FlashbotsProvider };
+/**
+ * Return the first revert/error reported by an eth_callBundle response, or null
+ * when every transaction in the bundle simulated successfully.
+ */
+function simulationError(simResponse) {
+  const results = simResponse?.result?.results ?? [];
+  const failed  = results.find((r) => r.error || r.revert);
+  if (!failed) return null;
+  return failed.revert ? `${failed.error ?? 'reverted'}: ${failed.revert}` : failed.error;
+}
+
+module.exports = { FlashbotsProvider, simulationError };
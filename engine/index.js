@@ -2,158 +2,139 @@
 'use strict';
 
 require('dotenv').config();
-const { ethers }        = require('ethers');
-const { CHAINS, tokenDecimals } = require('./config');
-const { PoolScanner }   = require('./scanner');
-const { ArbExecutor }   = require('./executor');
-const { FlashbotsProvider } = require('./flashbots');
+const path            = require('path');
+const { CHAINS }      = require('./config');
+const { ChainRunner, startRunners } = require('./runner');
+const { Reporter }    = require('./reporter');
+const { Watchlist }   = require('./watchlist');
 
 // ── Configuration ─────────────────────────────────────────────────────────────
 
-const CHAIN_NAME   = process.env.CHAIN || 'ethereum';
-const CHAIN        = CHAINS[CHAIN_NAME];
-if (!CHAIN) {
-  console.error(`Unknown chain: ${CHAIN_NAME}. Valid: ${Object.keys(CHAINS).join(', ')}`);
+// Chains to run in this process. ENABLED_CHAINS takes a comma-separated list;
+// the single-chain CHAIN variable is still honoured when it is not set.
+const CHAIN_NAMES = (process.env.ENABLED_CHAINS || process.env.CHAIN || 'ethereum')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+const unknown = CHAIN_NAMES.filter((name) => !CHAINS[name]);
+if (unknown.length > 0) {
+  console.error(`Unknown chain: ${unknown.join(', ')}. Valid: ${Object.keys(CHAINS).join(', ')}`);
   process.exit(1);
 }
 
-const PRIVATE_KEY        = process.env.PRIVATE_KEY;
-const ARB_CONTRACT_ENV   = `ARB_CONTRACT_ADDRESS_${CHAIN_NAME.toUpperCase()}`;
-const ARB_CONTRACT_ADDR  = process.env[ARB_CONTRACT_ENV] || process.env.ARB_CONTRACT_ADDRESS;
-const SCAN_INTERVAL_MS   = parseInt(process.env.SCAN_INTERVAL_MS || '2000', 10);
-const MIN_PROFIT_BPS     = parseInt(process.env.MIN_PROFIT_BPS   || '15',   10);
-const LOAN_AMOUNT_USD    = parseFloat(process.env.LOAN_AMOUNT_USD || '10000');
-const TRADE_LIVE         = process.env.TRADE_LIVE === 'true';
-
-// Token pairs to monitor on each chain
-const MONITOR_PAIRS = [
-  [CHAIN.usdc, CHAIN.usdt],
-  [CHAIN.usdc, CHAIN.dai],
-  [CHAIN.usdt, CHAIN.dai],
-  [CHAIN.weth, CHAIN.usdc],
-  [CHAIN.weth, CHAIN.usdt],
-];
-
-// ── Setup ─────────────────────────────────────────────────────────────────────
-
-function buildProvider() {
-  const rpcUrl = process.env[CHAIN.rpcEnv];
-  if (!rpcUrl) throw new Error(`Missing env var: ${CHAIN.rpcEnv}`);
-
-  // Proxy socket support: if rpcUrl starts with ws:// use WebSocket provider
-  if (rpcUrl.startsWith('ws')) {
-    return new ethers.WebSocketProvider(rpcUrl);
-  }
-  return new ethers.JsonRpcProvider(rpcUrl);
+const SCAN_MODES = ['interval', 'block', 'logs'];
+
+// Pair universe per chain (JSON or YAML); chains it omits use the built-in pairs
+const WATCHLIST_PATH = process.env.WATCHLIST_PATH || path.join(__dirname, '..', 'watchlist.json');
+
+/**
+ * Read a setting for one chain: `<KEY>_<CHAIN>` (e.g. SCAN_INTERVAL_MS_POLYGON)
+ * wins over the global `<KEY>`, which wins over `fallback`.
+ */
+function chainEnv(chainName, key, fallback) {
+  const perChain = process.env[`${key}_${chainName.toUpperCase()}`];
+  if (perChain != null && perChain !== '') return perChain;
+  const global = process.env[key];
+  if (global != null && global !== '') return global;
+  return fallback;
+}
+
+function chainSettings(chainName) {
+  return {
+    tradeLive:      chainEnv(chainName, 'TRADE_LIVE', 'false') === 'true',
+    privateKey:     process.env.PRIVATE_KEY,
+    arbContract:    process.env[`ARB_CONTRACT_ADDRESS_${chainName.toUpperCase()}`] || process.env.ARB_CONTRACT_ADDRESS,
+    // ABI (or Hardhat artifact) of the deployed contract, for decoding its custom errors
+    arbAbiPath:     process.env.ARB_ABI_PATH || null,
+    // What triggers a scan: 'interval' (SCAN_INTERVAL_MS), 'block' (new heads)
+    // or 'logs' (Swap/Sync logs of watched pools; needs a ws:// RPC)
+    scanMode:       chainEnv(chainName, 'SCAN_MODE', 'interval'),
+    scanIntervalMs: parseInt(chainEnv(chainName, 'SCAN_INTERVAL_MS', '2000'), 10),
+    minProfitBps:   parseInt(chainEnv(chainName, 'MIN_PROFIT_BPS', '15'), 10),
+    // Venue prices further than this from the pair's median venue are treated
+    // as bad data (wrong decimals, dead pools) rather than arbitrage
+    maxSpreadBps:   parseInt(chainEnv(chainName, 'MAX_SPREAD_BPS', '1000'), 10),
+    // Net profit floor (after Aave premium and gas) required before executing
+    minProfitUsd:   parseFloat(chainEnv(chainName, 'MIN_PROFIT_USD', '5')),
+    // Interpret configured loan amount as *token units* for the borrowed asset.
+    // Prefer LOAN_AMOUNT_TOKEN, but fall back to LOAN_AMOUNT_USD for backwards compatibility.
+    loanAmount:     chainEnv(chainName, 'LOAN_AMOUNT_TOKEN', null) ?? chainEnv(chainName, 'LOAN_AMOUNT_USD', '10000'),
+    // Also search 3–4 hop cycles across the watched pools (reported, not executed)
+    routeSearch:    chainEnv(chainName, 'ROUTE_SEARCH', 'false') === 'true',
+    // Largest gap between the local quote of a leg and the on-chain quote
+    // (QuoterV2 / getAmountsOut) before a trade is aborted
+    quoteToleranceBps: parseInt(chainEnv(chainName, 'QUOTE_TOLERANCE_BPS', '10'), 10),
+    // Slippage tolerance (bps) per pair class; unset keeps the chain's default
+    slippageBps: {
+      stable:   chainEnv(chainName, 'SLIPPAGE_BPS_STABLE', null),
+      volatile: chainEnv(chainName, 'SLIPPAGE_BPS_VOLATILE', null),
+    },
+    // Gas assumed for executeArbitrage when no executor is available to estimate it
+    gasUnitsEstimate: BigInt(chainEnv(chainName, 'GAS_UNITS_ESTIMATE', '400000')),
+    // Stuck transactions: blocks a tx may stay pending before it is replaced at
+    // the same nonce, the fee bump per replacement, and whether the replacement
+    // cancels the trade ('cancel') or resends it ('replace')
+    nonce: {
+      timeoutBlocks:  parseInt(chainEnv(chainName, 'STUCK_TX_TIMEOUT_BLOCKS', '3'), 10),
+      feeBumpPercent: parseInt(chainEnv(chainName, 'STUCK_TX_FEE_BUMP_PERCENT', '15'), 10),
+      stuckAction:    chainEnv(chainName, 'STUCK_TX_ACTION', 'cancel'),
+    },
+    // Private submission: relay endpoint, blocks each bundle targets, and what to do
+    // when no bundle is included ('none' gives up, 'public' broadcasts normally)
+    flashbots: {
+      relayUrl:     chainEnv(chainName, 'FLASHBOTS_RELAY_URL', ''),
+      timeoutMs:    parseInt(chainEnv(chainName, 'FLASHBOTS_RELAY_TIMEOUT_MS', '3000'), 10),
+      targetBlocks: parseInt(chainEnv(chainName, 'FLASHBOTS_TARGET_BLOCKS', '3'), 10),
+      fallback:     chainEnv(chainName, 'FLASHBOTS_FALLBACK', 'none'),
+    },
+  };
 }
 
-// ── Main Loop ─────────────────────────────────────────────────────────────────
+// ── Main ──────────────────────────────────────────────────────────────────────
 
 async function main() {
-  console.log(`\n🚀  Super Turbo Finder — ${CHAIN.name}`);
-  console.log(`     Trade Live : ${TRADE_LIVE}`);
-  console.log(`     Loan USD   : $${LOAN_AMOUNT_USD.toLocaleString()}`);
-  console.log(`     Min Profit : ${MIN_PROFIT_BPS} bps\n`);
-
-  const provider = buildProvider();
-  const wallet   = PRIVATE_KEY
-    ? new ethers.Wallet(PRIVATE_KEY, provider)
-    : null;
-
-  if (TRADE_LIVE && !wallet) {
-    console.error('PRIVATE_KEY not set – cannot trade live.');
-    process.exit(1);
-  }
+  console.log(`\n🚀  Super Turbo Finder — ${CHAIN_NAMES.join(', ')}\n`);
 
-  if (TRADE_LIVE && !ARB_CONTRACT_ADDR) {
-    console.error('ARB_CONTRACT_ADDRESS not set – cannot trade live.');
-    process.exit(1);
-  }
+  const reporter = new Reporter();
 
-  // Flashbots provider (mainnet only)
-  let flashbots = null;
-  if (CHAIN.flashbots && wallet) {
-    const fbAuthSigner = ethers.Wallet.createRandom();
-    flashbots = new FlashbotsProvider(provider, fbAuthSigner);
-    console.log('⚡  Flashbots relay enabled');
+  let watchlist;
+  try {
+    watchlist = new Watchlist(WATCHLIST_PATH).load();
+  } catch (err) {
+    console.error(`Cannot load watchlist ${WATCHLIST_PATH}: ${err.message}`);
+    process.exit(1);
   }
+  console.log(`📋  Watchlist: ${watchlist.filePath}`);
 
-  const scanner  = new PoolScanner(provider, CHAIN);
-  const executor = TRADE_LIVE
-    ? new ArbExecutor(wallet, ARB_CONTRACT_ADDR, CHAIN)
-    : null;
-
-  let scanCount = 0;
-
-  // ── Scan loop ──────────────────────────────────────────────────────────────
-  const scan = async () => {
-    scanCount++;
-    const ts = new Date().toISOString();
-
-    for (const [tokenA, tokenB] of MONITOR_PAIRS) {
-      try {
-        const opps = await scanner.findArbitrageOpportunities(tokenA, tokenB, MIN_PROFIT_BPS);
-
-        if (opps.length === 0) continue;
-
-        const best = opps[0];
-        console.log(
-          `[${ts}] 💰  Arb found: ${best.profitBps} bps | ` +
-          `${best.buy.source} → ${best.sell.source} | ` +
-          `${tokenA.slice(0, 6)}…/${tokenB.slice(0, 6)}…`
-        );
-
-        if (TRADE_LIVE && executor) {
-          // Encode arbitrage params based on the best opportunity
-          const dex1 = best.buy.source  === 'uniswapV3' ? 1 : 2;
-          const dex2 = best.sell.source === 'uniswapV3' ? 1 : 2;
-
-          const arbParamsObj = {
-            dex1,
-            dex2,
-            tokenBorrow:       tokenA,
-            tokenIntermediate: tokenB,
-            fee1:              best.buy.fee  ?? 3000,
-            fee2:              best.sell.fee ?? 3000,
-            curvePool1:        ethers.ZeroAddress,
-            curvePool2:        ethers.ZeroAddress,
-            curveI1:           0n,
-            curveJ1:           0n,
-            curveI2:           0n,
-            curveJ2:           0n,
-            amountOutMin1:     0n, // set slippage protection in production
-            amountOutMin2:     0n,
-          };
-
-          // Derive correct decimals for the borrowed token from the config lookup.
-          const decimals  = tokenDecimals(tokenA);
-          // Interpret configured loan amount as *token units* for the borrowed asset.
-          // Prefer LOAN_AMOUNT_TOKEN, but fall back to LOAN_AMOUNT_USD for backwards compatibility.
-          const rawLoanAmount =
-            process.env.LOAN_AMOUNT_TOKEN != null && process.env.LOAN_AMOUNT_TOKEN !== ''
-              ? process.env.LOAN_AMOUNT_TOKEN
-              : LOAN_AMOUNT_USD;
-          const loanAmount = ethers.parseUnits(String(rawLoanAmount), decimals);
-
-          try {
-            await executor.execute(best, loanAmount, arbParamsObj);
-          } catch (execErr) {
-            console.error(`[executor] Error: ${execErr.message}`);
-          }
-        }
-      } catch (scanErr) {
-        console.error(`[scanner] Error scanning ${tokenA}/${tokenB}: ${scanErr.message}`);
-      }
+  // Edits are picked up on the next scan; an invalid edit keeps the last good list
+  watchlist.on('change', () => {
+    for (const name of CHAIN_NAMES) {
+      reporter.write('info', name, `📋  Watchlist reloaded: ${watchlist.pairs(name).length} pairs`);
     }
+  });
+  watchlist.on('error', (err) => {
+    console.error(`Watchlist reload rejected, keeping previous pairs: ${err.message}`);
+  });
+  watchlist.watch();
+
+  const badMode = CHAIN_NAMES.find((name) => !SCAN_MODES.includes(chainSettings(name).scanMode));
+  if (badMode) {
+    console.error(`Invalid SCAN_MODE for ${badMode}. Valid: ${SCAN_MODES.join(', ')}`);
+    process.exit(1);
+  }
 
-    if (scanCount % 100 === 0) {
-      console.log(`[${ts}] 🔄  Scans completed: ${scanCount}`);
-    }
-  };
+  const runners = CHAIN_NAMES.map(
+    (name) => new ChainRunner(name, CHAINS[name], chainSettings(name), reporter, watchlist)
+  );
 
-  // Run first scan immediately, then on interval
-  await scan();
-  setInterval(scan, SCAN_INTERVAL_MS);
+  // Each chain reports its own startup failure as soon as it happens; the
+  // process only exits once every chain has failed.
+  const started = await startRunners(runners, reporter);
+  if (started.length === 0) {
+    console.error('No chain could be started.');
+    process.exit(1);
+  }
 }
 
 main().catch((err) => {
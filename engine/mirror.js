@@ -0,0 +1,175 @@
+// engine/mirror.js – In-memory pool state kept current from Swap/Mint/Burn/Sync logs
+'use strict';
+
+const { ethers } = require('ethers');
+
+const POOL_EVENTS = new ethers.Interface([
+  // Uniswap V3 pool
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+  'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+  'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+  // PancakeSwap V3 pool: Swap also reports protocol fees, so its topic differs
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint128 protocolFeesToken0, uint128 protocolFeesToken1)',
+  // Uniswap V2 pair
+  'event Sync(uint112 reserve0, uint112 reserve1)',
+]);
+
+// Topics to subscribe to for every mirrored pool
+const POOL_EVENT_TOPICS = POOL_EVENTS.fragments.map((f) => f.topicHash);
+
+// Re-read a mirrored pool from chain after this long, bounding the damage of
+// a missed or double-applied Mint/Burn (Swap and Sync carry absolute state)
+const MIRROR_TTL_MS = 60 * 1000;
+
+/**
+ * PoolMirror keeps the state PoolScanner quotes from — sqrtPrice, tick,
+ * liquidity and initialized ticks for V3 pools, reserves for V2 pairs — in
+ * memory. Each pool is seeded from chain once and then updated by `apply()`
+ * with the pool's logs, so quoting needs no RPC calls between seeds.
+ *
+ * Entries are immutable snapshots: an update replaces the entry, so a venue
+ * quoted earlier keeps the state it was priced against.
+ *
+ * The mirror serves nothing until `enabled` is set, which the runner does once
+ * it is subscribed to the pools' logs; without logs the mirror would go stale.
+ */
+class PoolMirror {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.ttlMs]  Maximum age of a seed (default 60 s)
+   */
+  constructor(options = {}) {
+    this.ttlMs   = options.ttlMs ?? MIRROR_TTL_MS;
+    this.enabled = false;
+    // address (lowercase) → { data, seededAt, lastLog: [blockNumber, index] | null }
+    this.entries = new Map();
+    this.stats   = { applied: 0, invalidated: 0 };
+  }
+
+  /**
+   * Mirrored state of a pool, or null when it must be read from chain.
+   * @returns {object|null}  V3: {token0, token1, state}; V2: {token0, reserve0, reserve1}
+   */
+  get(address) {
+    if (!this.enabled) return null;
+    const entry = this.entries.get(address.toLowerCase());
+    if (!entry || Date.now() - entry.seededAt > this.ttlMs) return null;
+    return entry.data;
+  }
+
+  /**
+   * Store state just read from chain at `blockNumber`. Logs from that block or
+   * earlier are already reflected in it and are ignored by `apply()`.
+   */
+  seed(address, data, blockNumber) {
+    this.entries.set(address.toLowerCase(), {
+      data,
+      seededAt: Date.now(),
+      lastLog:  blockNumber != null ? [blockNumber, Infinity] : null,
+    });
+  }
+
+  invalidate(address) {
+    if (this.entries.delete(address.toLowerCase())) this.stats.invalidated++;
+  }
+
+  /**
+   * Apply one pool log to the mirror.
+   * @param {ethers.Log} log
+   * @returns {boolean} true when the log changed a mirrored pool
+   */
+  apply(log) {
+    const address = log.address.toLowerCase();
+    const entry   = this.entries.get(address);
+    if (!entry) return false;
+
+    // A reorged-out log may already be applied; re-read the pool instead
+    if (log.removed) {
+      this.invalidate(address);
+      return false;
+    }
+    // Ignore logs older than the last one applied (out-of-order delivery) or
+    // than the seed
+    const position = [log.blockNumber, log.index];
+    if (entry.lastLog && (position[0] < entry.lastLog[0] ||
+      (position[0] === entry.lastLog[0] && position[1] <= entry.lastLog[1]))) {
+      return false;
+    }
+
+    let parsed;
+    try {
+      parsed = POOL_EVENTS.parseLog(log);
+    } catch {
+      return false;
+    }
+    if (!parsed) return false;
+
+    const data = entry.data;
+    let next;
+    switch (parsed.name) {
+      case 'Swap': {
+        if (!data.state) return false;
+        const tick = Number(parsed.args.tick);
+        // Price left the loaded tick range: the bitmap must be reloaded
+        if (tick < data.state.tickLower || tick > data.state.tickUpper) {
+          this.invalidate(address);
+          return false;
+        }
+        next = {
+          ...data,
+          state: {
+            ...data.state,
+            sqrtPriceX96: parsed.args.sqrtPriceX96,
+            tick,
+            liquidity:    parsed.args.liquidity,
+          },
+        };
+        break;
+      }
+      case 'Mint':
+      case 'Burn': {
+        if (!data.state) return false;
+        const delta = parsed.name === 'Mint' ? parsed.args.amount : -parsed.args.amount;
+        next = { ...data, state: applyLiquidityDelta(data.state, Number(parsed.args.tickLower), Number(parsed.args.tickUpper), delta) };
+        break;
+      }
+      case 'Sync':
+        if (data.reserve0 === undefined) return false;
+        next = { ...data, reserve0: parsed.args.reserve0, reserve1: parsed.args.reserve1 };
+        break;
+      default:
+        return false;
+    }
+
+    entry.data    = next;
+    entry.lastLog = position;
+    this.stats.applied++;
+    return true;
+  }
+}
+
+/**
+ * Add `delta` liquidity to a V3 position spanning [tickLower, tickUpper).
+ * Boundary ticks outside the loaded range are not tracked; swaps never reach
+ * them without exhausting the range first.
+ */
+function applyLiquidityDelta(state, tickLower, tickUpper, delta) {
+  const ticks = new Map(state.ticks);
+  const bump  = (tick, amount) => {
+    if (tick < state.tickLower || tick > state.tickUpper) return;
+    const net = (ticks.get(tick) ?? 0n) + amount;
+    if (net === 0n) ticks.delete(tick);
+    else ticks.set(tick, net);
+  };
+  bump(tickLower, delta);
+  bump(tickUpper, -delta);
+
+  const inRange = state.tick >= tickLower && state.tick < tickUpper;
+  return {
+    ...state,
+    ticks,
+    liquidity: inRange ? state.liquidity + delta : state.liquidity,
+  };
+}
+
+module.exports = { PoolMirror, POOL_EVENT_TOPICS, applyLiquidityDelta };
@@ -0,0 +1,109 @@
+// engine/multicall.js – Batches contract reads into Multicall3 aggregate3 calls
+'use strict';
+
+const { ethers } = require('ethers');
+
+const MULTICALL3_ABI = [
+  // aggregate3 is payable on chain; declared view so ethers sends it as eth_call
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) external view returns (tuple(bool success, bytes returnData)[] returnData)',
+  'function getBlockNumber() external view returns (uint256 blockNumber)',
+];
+
+// Upper bound on calls per aggregate3 so one batch stays within eth_call gas caps
+const MAX_CALLS_PER_BATCH = 500;
+
+/**
+ * Multicall is an ethers ContractRunner for read-only contracts: every
+ * `eth_call` issued through it during one event-loop turn is queued and sent
+ * as a single Multicall3 `aggregate3` call with `allowFailure` set, so one
+ * reverting call rejects only its own promise. Calls in a batch also read the
+ * same block, which keeps pool state consistent across a scan.
+ *
+ *   const pool = new ethers.Contract(address, abi, multicall);
+ *   const [slot0, liquidity] = await Promise.all([pool.slot0(), pool.liquidity()]); // one RPC call
+ */
+class Multicall {
+  /**
+   * @param {ethers.Provider} provider
+   * @param {string} address  Multicall3 deployment (chainConfig.multicall3)
+   */
+  constructor(provider, address) {
+    if (!address) throw new Error('Multicall: no Multicall3 address configured');
+    this.provider  = provider;
+    this.contract  = new ethers.Contract(address, MULTICALL3_ABI, provider);
+    this.queue     = [];
+    this.scheduled = false;
+    this.stats     = { batches: 0, calls: 0 };
+  }
+
+  /**
+   * ContractRunner hook: queue a call and resolve with its raw return data.
+   * @param {{to: string, data: string}} tx
+   * @returns {Promise<string>}
+   */
+  call(tx) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ target: tx.to, callData: tx.data, resolve, reject });
+      if (!this.scheduled) {
+        this.scheduled = true;
+        // Let every caller in this turn (and their microtasks) enqueue first
+        setImmediate(() => this.flush());
+      }
+    });
+  }
+
+  /**
+   * Number of the block the current batch reads, queued like any other call:
+   * issue it alongside the reads it should date.
+   * @returns {Promise<number>}
+   */
+  async blockNumber() {
+    const data = await this.call({
+      to:   this.contract.target,
+      data: this.contract.interface.encodeFunctionData('getBlockNumber'),
+    });
+    return Number(this.contract.interface.decodeFunctionResult('getBlockNumber', data)[0]);
+  }
+
+  flush() {
+    this.scheduled = false;
+    const queue = this.queue;
+    this.queue  = [];
+    for (let i = 0; i < queue.length; i += MAX_CALLS_PER_BATCH) {
+      this.execute(queue.slice(i, i + MAX_CALLS_PER_BATCH));
+    }
+  }
+
+  async execute(batch) {
+    this.stats.batches++;
+    this.stats.calls += batch.length;
+
+    let results;
+    try {
+      results = await this.contract.aggregate3(
+        batch.map(({ target, callData }) => ({ target, allowFailure: true, callData }))
+      );
+    } catch (err) {
+      batch.forEach((c) => c.reject(err));
+      return;
+    }
+
+    results.forEach(({ success, returnData }, idx) => {
+      const c = batch[idx];
+      if (success) {
+        c.resolve(returnData);
+      } else {
+        c.reject(ethers.makeError(`call to ${c.target} reverted`, 'CALL_EXCEPTION', {
+          action: 'call',
+          data:   returnData,
+          reason: null,
+          transaction: { to: c.target, data: c.callData },
+          invocation:  null,
+          revert:      null,
+        }));
+      }
+    });
+  }
+}
+
+module.exports = { Multicall };
@@ -0,0 +1,270 @@
+// engine/nonce.js – Local nonce tracking and stuck-transaction replacement
+'use strict';
+
+// Replacement fees are raised by at least this much: nodes reject a
+// same-nonce replacement that does not outbid the original by 10%
+const MIN_FEE_BUMP_PERCENT = 10;
+const CANCEL_GAS_LIMIT     = 21000n;
+
+/**
+ * Fee fields of a sent transaction: EIP-1559 or legacy gasPrice.
+ */
+function feesOf(tx) {
+  return tx.maxFeePerGas != null
+    ? { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }
+    : { gasPrice: tx.gasPrice };
+}
+
+/**
+ * Fees for a same-nonce replacement: the previous fees raised by `percent`
+ * (rounded up), or the current network fees when those are higher.
+ */
+function bumpFees(previous, feeData, percent) {
+  const bump = (value) => (value * BigInt(100 + percent) + 99n) / 100n;
+  const max  = (...values) => values.reduce((a, b) => (b != null && b > a ? b : a));
+  if (previous.maxFeePerGas != null) {
+    const maxPriorityFeePerGas = max(bump(previous.maxPriorityFeePerGas), feeData?.maxPriorityFeePerGas);
+    return {
+      maxFeePerGas: max(bump(previous.maxFeePerGas), feeData?.maxFeePerGas, maxPriorityFeePerGas),
+      maxPriorityFeePerGas,
+    };
+  }
+  return { gasPrice: max(bump(previous.gasPrice), feeData?.gasPrice) };
+}
+
+/**
+ * NonceManager hands out nonces for one wallet from a local counter instead
+ * of asking the node for every transaction, and watches what it sends: a
+ * transaction still pending `timeoutBlocks` blocks after it was (re)sent is
+ * replaced at the same nonce with bumped fees, so one underpriced transaction
+ * cannot hold up every later one.
+ *
+ * `stuckAction` decides what the replacement is: 'cancel' (a zero-value
+ * transfer to self, the default — a trade that waited that long is stale) or
+ * 'replace' (the same transaction). Each pending nonce moves through
+ *   sent → replaced | cancelling → mined | cancelled | dropped | abandoned
+ * and every transition is logged with the `[nonce]` prefix.
+ */
+class NonceManager {
+  /**
+   * @param {ethers.Wallet} wallet  Signing wallet (connected to a provider)
+   * @param {object}  [options]
+   * @param {number}  [options.timeoutBlocks]   Blocks a transaction may stay pending before it is replaced (default 3)
+   * @param {number}  [options.feeBumpPercent]  Fee increase per replacement (default 15, at least 10)
+   * @param {string}  [options.stuckAction]     'cancel' or 'replace' (default 'cancel')
+   * @param {number}  [options.maxReplacements] Replacements per nonce before giving up (default 5)
+   * @param {number}  [options.pollIntervalMs]  Receipt polling interval (default 1000)
+   * @param {object}  [options.logger]          console-like sink (defaults to console)
+   */
+  constructor(wallet, options = {}) {
+    this.wallet          = wallet;
+    this.provider        = wallet.provider;
+    this.timeoutBlocks   = options.timeoutBlocks ?? 3;
+    this.feeBumpPercent  = Math.max(options.feeBumpPercent ?? 15, MIN_FEE_BUMP_PERCENT);
+    this.stuckAction     = options.stuckAction ?? 'cancel';
+    this.maxReplacements = options.maxReplacements ?? 5;
+    this.pollIntervalMs  = options.pollIntervalMs ?? 1000;
+    this.logger          = options.logger ?? console;
+    if (!['cancel', 'replace'].includes(this.stuckAction)) {
+      throw new Error(`Invalid stuck transaction action "${this.stuckAction}" (cancel or replace)`);
+    }
+    // Next nonce to hand out; null until read from chain (and after a failed send)
+    this.nextNonce = null;
+    // nonce → { nonce, request, fees, hashes, sentBlock, replacements, state }
+    this.pending   = new Map();
+  }
+
+  /**
+   * Allocate the next nonce. The counter starts from the node's pending
+   * transaction count and is re-read after anything that may have desynced it.
+   * @returns {Promise<number>}
+   */
+  async next() {
+    if (this.nextNonce == null) {
+      const onChain = await this.provider.getTransactionCount(this.wallet.address, 'pending');
+      const tracked = Math.max(-1, ...this.pending.keys()) + 1;
+      this.nextNonce = Math.max(onChain, tracked);
+      this.logger.log(`[nonce] synced: next nonce ${this.nextNonce}`);
+    }
+    return this.nextNonce++;
+  }
+
+  /**
+   * Return a nonce that was allocated but never broadcast (e.g. a bundle that
+   * was not included). Only the latest allocation can be rolled back; anything
+   * else forces a re-read from chain.
+   */
+  release(nonce) {
+    if (this.nextNonce === nonce + 1) {
+      this.nextNonce = nonce;
+    } else {
+      this.nextNonce = null;
+    }
+    this.logger.log(`[nonce] #${nonce} released (not broadcast)`);
+  }
+
+  /**
+   * Send a transaction at the next nonce and start tracking it.
+   * @param {object} request  Transaction request (to, data, gasLimit, fee fields)
+   * @returns {Promise<object>} The pending entry (see wait); `hash` is the latest sent hash
+   */
+  async send(request) {
+    const nonce = await this.next();
+    let tx;
+    try {
+      tx = await this.wallet.sendTransaction({ ...request, nonce });
+    } catch (err) {
+      // The node may or may not have taken the nonce
+      this.nextNonce = null;
+      this.logger.error(`[nonce] #${nonce} send failed, resyncing: ${err.shortMessage ?? err.message}`);
+      throw err;
+    }
+    return this.track(tx, request);
+  }
+
+  /**
+   * Track a transaction broadcast elsewhere (e.g. a signed bundle transaction
+   * sent publicly), so it is timed out and replaced like any other.
+   */
+  async track(tx, request) {
+    const entry = {
+      nonce:        tx.nonce,
+      request,
+      fees:         feesOf(tx),
+      hashes:       [tx.hash],
+      hash:         tx.hash,
+      sentBlock:    await this.provider.getBlockNumber(),
+      replacements: 0,
+      state:        'sent',
+    };
+    this.pending.set(entry.nonce, entry);
+    this.logger.log(`[nonce] #${entry.nonce} sent: ${tx.hash} (${this.describeFees(entry.fees)})`);
+    return entry;
+  }
+
+  /**
+   * Wait until one of the transactions sent at an entry's nonce is mined,
+   * replacing it whenever it has been pending for `timeoutBlocks` blocks.
+   *
+   * Resolves with the receipt of whichever transaction took the nonce; the
+   * entry's `state` is 'mined' for the original (or its replacement) and
+   * 'cancelled' when the cancellation won.
+   *
+   * @returns {Promise<ethers.TransactionReceipt>}
+   * @throws when the nonce was taken by a transaction this manager did not
+   *         send ('dropped') or the replacements ran out ('abandoned')
+   */
+  async wait(entry) {
+    for (;;) {
+      const receipt = await this.findReceipt(entry);
+      if (receipt) return this.settle(entry, receipt);
+
+      const [blockNumber, mined] = await Promise.all([
+        this.provider.getBlockNumber(),
+        this.provider.getTransactionCount(this.wallet.address, 'latest'),
+      ]);
+      if (mined > entry.nonce) {
+        // A hash of ours may have been mined between the two reads
+        const late = await this.findReceipt(entry);
+        if (late) return this.settle(entry, late);
+        this.finish(entry, 'dropped');
+        this.nextNonce = null;
+        this.logger.error(`[nonce] #${entry.nonce} dropped: nonce used by a transaction not sent here`);
+        throw new Error(`Nonce ${entry.nonce} used by another transaction`);
+      }
+
+      if (blockNumber - entry.sentBlock >= this.timeoutBlocks) {
+        if (entry.replacements >= this.maxReplacements) {
+          this.finish(entry, 'abandoned');
+          // The node may since have dropped it, freeing the nonce
+          this.nextNonce = null;
+          this.logger.error(
+            `[nonce] #${entry.nonce} abandoned after ${entry.replacements} replacements, still pending: ${entry.hash}`
+          );
+          throw new Error(`Transaction ${entry.hash} still pending after ${entry.replacements} replacements`);
+        }
+        await this.replace(entry, blockNumber);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, this.pollIntervalMs));
+    }
+  }
+
+  /**
+   * Receipt of any transaction sent at the entry's nonce, newest first.
+   */
+  async findReceipt(entry) {
+    for (const hash of [...entry.hashes].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  settle(entry, receipt) {
+    const cancelled = entry.cancelHashes?.has(receipt.hash) ?? false;
+    this.finish(entry, cancelled ? 'cancelled' : 'mined');
+    entry.hash = receipt.hash;
+    this.logger.log(
+      `[nonce] #${entry.nonce} ${entry.state} in block ${receipt.blockNumber}: ${receipt.hash}` +
+      (entry.replacements ? ` (after ${entry.replacements} replacement${entry.replacements > 1 ? 's' : ''})` : '')
+    );
+    return receipt;
+  }
+
+  finish(entry, state) {
+    entry.state = state;
+    this.pending.delete(entry.nonce);
+  }
+
+  /**
+   * Resend at the entry's nonce with bumped fees: the original transaction,
+   * or a zero-value transfer to self once the entry is being cancelled.
+   */
+  async replace(entry, blockNumber) {
+    const cancel = this.stuckAction === 'cancel' || entry.state === 'cancelling';
+    const fees   = bumpFees(entry.fees, await this.provider.getFeeData(), this.feeBumpPercent);
+    const request = cancel
+      ? { to: this.wallet.address, value: 0n, data: '0x', gasLimit: CANCEL_GAS_LIMIT }
+      : { ...entry.request };
+    delete request.gasPrice;
+    delete request.maxFeePerGas;
+    delete request.maxPriorityFeePerGas;
+
+    const waited = blockNumber - entry.sentBlock;
+    let tx;
+    try {
+      tx = await this.wallet.sendTransaction({ ...request, ...fees, nonce: entry.nonce });
+    } catch (err) {
+      // Mined meanwhile (nonce too low) or still outbid: the next poll sorts it
+      // out, bumping again from the fees of what actually went out
+      this.logger.warn(
+        `[nonce] #${entry.nonce} ${cancel ? 'cancellation' : 'replacement'} rejected: ${err.shortMessage ?? err.message}`
+      );
+      return;
+    }
+
+    entry.replacements++;
+    entry.fees      = fees;
+    entry.sentBlock = blockNumber;
+    entry.hashes.push(tx.hash);
+    entry.hash = tx.hash;
+    if (cancel) {
+      entry.cancelHashes = entry.cancelHashes ?? new Set();
+      entry.cancelHashes.add(tx.hash);
+    }
+    entry.state = cancel ? 'cancelling' : 'replaced';
+    this.logger.warn(
+      `⚠️  [nonce] #${entry.nonce} pending for ${waited} blocks → ${entry.state} with ${tx.hash} ` +
+      `(${this.describeFees(fees)}, +${this.feeBumpPercent}%)`
+    );
+  }
+
+  describeFees(fees) {
+    return fees.maxFeePerGas != null
+      ? `maxFee ${fees.maxFeePerGas} / tip ${fees.maxPriorityFeePerGas}`
+      : `gasPrice ${fees.gasPrice}`;
+  }
+}
+
+module.exports = { NonceManager, bumpFees };
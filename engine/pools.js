@@ -0,0 +1,186 @@
+// engine/pools.js – Pool address registry with a disk cache and factory event discovery
+'use strict';
+
+const fs               = require('fs');
+const path             = require('path');
+const { EventEmitter } = require('events');
+const { ethers }       = require('ethers');
+
+const UNISWAP_V3_FACTORY_ABI = [
+  'function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)',
+  'event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool)',
+];
+
+const UNISWAP_V2_FACTORY_ABI = [
+  'function getPair(address tokenA, address tokenB) external view returns (address pair)',
+  'event PairCreated(address indexed token0, address indexed token1, address pair, uint256)',
+];
+
+const CACHE_DIR = path.join(__dirname, '..', '.cache');
+
+// How long a "no pool" answer is trusted before the factory is asked again.
+// Factory events only cover the time the engine is running, so these answers
+// are never written to disk.
+const NO_POOL_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Cache key for a pool; token order does not matter.
+ */
+function poolKey(source, tokenA, tokenB, fee) {
+  const [t0, t1] = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort();
+  return fee == null ? `${source}:${t0}:${t1}` : `${source}:${t0}:${t1}:${fee}`;
+}
+
+/**
+ * PoolRegistry resolves pool and pair addresses through the factories venue
+ * adapters register (`addFactory`) once and persists them to
+ * `.cache/pools-<chainId>.json`. Factory addresses never change for a pair,
+ * so later scans skip the lookup. "No pool" results are only kept in memory
+ * for NO_POOL_TTL_MS: a pool created while the engine was down is found by
+ * the first lookup after a restart.
+ *
+ * `watch()` subscribes to the factories' PoolCreated / PairCreated events and
+ * records new pools for pairs the registry has already been asked about, so a
+ * pool launched for a watched pair is scanned from the next cycle on.
+ *
+ * Events: 'pool' ({source, tokenA, tokenB, fee, address}) when a watched pair gains a pool;
+ * 'error' when a factory event subscription fails.
+ */
+class PoolRegistry extends EventEmitter {
+  /**
+   * @param {ethers.Provider} provider     Used for event subscriptions
+   * @param {object} chainConfig           – entry from engine/config.js CHAINS
+   * @param {object} [options]
+   * @param {ethers.ContractRunner} [options.reader]  Runner for getPool/getPair (e.g. Multicall)
+   * @param {string} [options.cacheDir]    Directory for the cache file (default .cache/)
+   */
+  constructor(provider, chainConfig, options = {}) {
+    super();
+    this.provider  = provider;
+    this.cachePath = path.join(options.cacheDir ?? CACHE_DIR, `pools-${chainConfig.chainId}.json`);
+    // poolKey → address, or null when the factory had no pool (memory only)
+    this.pools     = this.readCache();
+    // poolKey → time of a lookup that found no pool
+    this.missing   = new Map();
+    this.pending   = new Map();
+    this.reader    = options.reader ?? provider;
+    // source → { kind: 'v3' | 'v2', contract }
+    this.factories = new Map();
+    this.listeners = [];
+  }
+
+  /**
+   * Register the factory of a venue: Uniswap V3-style (getPool/PoolCreated)
+   * for kind 'v3', Uniswap V2-style (getPair/PairCreated) for kind 'v2'.
+   */
+  addFactory(source, kind, address) {
+    const abi = kind === 'v3' ? UNISWAP_V3_FACTORY_ABI : UNISWAP_V2_FACTORY_ABI;
+    this.factories.set(source, { kind, contract: new ethers.Contract(address, abi, this.reader) });
+  }
+
+  readCache() {
+    try {
+      const cached = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+      // Older caches also stored "no pool" results; look those up again
+      return Object.fromEntries(Object.entries(cached).filter(([, address]) => address));
+    } catch {
+      return {};
+    }
+  }
+
+  writeCache() {
+    const found = Object.fromEntries(Object.entries(this.pools).filter(([, address]) => address));
+    fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+    fs.writeFileSync(this.cachePath, JSON.stringify(found, null, 2));
+  }
+
+  /**
+   * Return the cached address for `key`, resolving it with `lookup` once (or,
+   * when there was no pool, again after NO_POOL_TTL_MS). RPC failures are not
+   * cached so the next scan retries.
+   */
+  async resolve(key, lookup) {
+    const fresh = this.pools[key] || (key in this.pools && Date.now() - this.missing.get(key) < NO_POOL_TTL_MS);
+    if (fresh) return this.pools[key];
+    if (!this.pending.has(key)) {
+      this.pending.set(key, lookup()
+        .then((address) => {
+          if (address === ethers.ZeroAddress) {
+            this.pools[key] = null;
+            this.missing.set(key, Date.now());
+            return;
+          }
+          this.pools[key] = address;
+          this.missing.delete(key);
+          this.writeCache();
+        })
+        .finally(() => this.pending.delete(key)));
+    }
+    await this.pending.get(key);
+    return this.pools[key];
+  }
+
+  /**
+   * Pool of `source` for a pair (and fee tier, for V3-style factories).
+   * @returns {Promise<string|null>}
+   */
+  async pool(source, tokenA, tokenB, fee) {
+    const factory = this.factories.get(source);
+    if (!factory) throw new Error(`PoolRegistry: no factory registered for ${source}`);
+    return factory.kind === 'v3'
+      ? this.resolve(poolKey(source, tokenA, tokenB, fee), () => factory.contract.getPool(tokenA, tokenB, fee))
+      : this.resolve(poolKey(source, tokenA, tokenB), () => factory.contract.getPair(tokenA, tokenB));
+  }
+
+  /**
+   * Every cached pool address for a pair, across sources and fee tiers.
+   * @returns {string[]}
+   */
+  known(tokenA, tokenB) {
+    const [t0, t1] = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort();
+    const suffix   = `:${t0}:${t1}`;
+    return Object.entries(this.pools)
+      .filter(([key, address]) => address && (key.endsWith(suffix) || key.includes(`${suffix}:`)))
+      .map(([, address]) => address);
+  }
+
+  /**
+   * Record a pool announced by a factory event if its pair is watched.
+   */
+  record(source, tokenA, tokenB, fee, address) {
+    const key = poolKey(source, tokenA, tokenB, fee);
+    if (!(key in this.pools) || this.pools[key] === address) return;
+    this.pools[key] = address;
+    this.missing.delete(key);
+    this.writeCache();
+    this.emit('pool', { source, tokenA, tokenB, fee, address });
+  }
+
+  watch() {
+    const subscribe = (contract, event, handler) => {
+      // Contract events are read through the provider, not the batching reader
+      const target = contract.connect(this.provider);
+      target.on(event, handler).catch((err) => this.emit('error', err));
+      this.listeners.push(() => target.off(event, handler));
+    };
+
+    for (const [source, { kind, contract }] of this.factories) {
+      if (kind === 'v3') {
+        subscribe(contract, 'PoolCreated', (token0, token1, fee, _tickSpacing, pool) => {
+          this.record(source, token0, token1, Number(fee), pool);
+        });
+      } else {
+        subscribe(contract, 'PairCreated', (token0, token1, pair) => {
+          this.record(source, token0, token1, undefined, pair);
+        });
+      }
+    }
+  }
+
+  unwatch() {
+    this.listeners.forEach((off) => off());
+    this.listeners = [];
+  }
+}
+
+module.exports = { PoolRegistry, NO_POOL_TTL_MS };
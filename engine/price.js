@@ -0,0 +1,200 @@
+// engine/price.js – Exact rational prices with explicit base and quote tokens
+'use strict';
+
+const Q192 = 2n ** 192n;
+
+const sameToken = (a, b) => a.address.toLowerCase() === b.address.toLowerCase();
+
+/**
+ * Price of one `base` token in `quote` tokens.
+ *
+ * The ratio is kept exactly as `numerator / denominator` raw quote units per
+ * raw base unit, so V3 sqrt prices, V2 reserves and Curve quotes compare
+ * without rounding whatever their magnitude. Decimals are applied only when
+ * the price is formatted or converted to a float: a WETH/USDC price reads the
+ * same from every venue even though the raw ratios differ by 10^12.
+ *
+ *   const p = Price.fromReserves(usdc, weth, reserveUsdc, reserveWeth);
+ *   p.orient(weth).toSignificant(6); // '2500'
+ */
+class Price {
+  /**
+   * @param {{address: string, decimals: number}} base
+   * @param {{address: string, decimals: number}} quote
+   * @param {bigint} numerator    Raw quote units …
+   * @param {bigint} denominator  … per this many raw base units
+   */
+  constructor(base, quote, numerator, denominator) {
+    if (denominator <= 0n) throw new RangeError('Price: denominator must be positive');
+    if (numerator < 0n)    throw new RangeError('Price: numerator must not be negative');
+    this.base        = base;
+    this.quote       = quote;
+    this.numerator   = numerator;
+    this.denominator = denominator;
+    Object.freeze(this);
+  }
+
+  /**
+   * Uniswap V3 pool price: token1 per token0 from slot0's sqrtPriceX96.
+   */
+  static fromSqrtPriceX96(token0, token1, sqrtPriceX96) {
+    return new Price(token0, token1, sqrtPriceX96 * sqrtPriceX96, Q192);
+  }
+
+  /**
+   * Constant-product pool price: quote per base from the pair's reserves.
+   */
+  static fromReserves(base, quote, reserveBase, reserveQuote) {
+    return new Price(base, quote, reserveQuote, reserveBase);
+  }
+
+  /**
+   * Price realised by a swap of `amountIn` base for `amountOut` quote
+   * (e.g. a Curve get_dy probe).
+   */
+  static fromAmounts(base, quote, amountIn, amountOut) {
+    return new Price(base, quote, amountOut, amountIn);
+  }
+
+  invert() {
+    if (this.numerator === 0n) throw new RangeError('Price: cannot invert a zero price');
+    return new Price(this.quote, this.base, this.denominator, this.numerator);
+  }
+
+  /**
+   * The same price expressed with `base` as the base token.
+   */
+  orient(base) {
+    if (sameToken(this.base, base))  return this;
+    if (sameToken(this.quote, base)) return this.invert();
+    throw new Error(`Price: ${base.address} is neither base nor quote`);
+  }
+
+  /**
+   * Convert a raw base amount to raw quote units (rounded down).
+   * @param {bigint} amount
+   * @returns {bigint}
+   */
+  quoteAmount(amount) {
+    return (amount * this.numerator) / this.denominator;
+  }
+
+  /**
+   * -1, 0 or 1 as this price is below, equal to or above `other`. Prices of
+   * the same pair in opposite orientation are aligned first.
+   */
+  compare(other) {
+    const o = this.aligned(other);
+    const lhs = this.numerator * o.denominator;
+    const rhs = o.numerator * this.denominator;
+    return lhs < rhs ? -1 : lhs > rhs ? 1 : 0;
+  }
+
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+
+  /**
+   * How far this price is above `other`, in basis points of `other`
+   * (negative when below), rounded toward zero.
+   * @returns {number}
+   */
+  spreadBps(other) {
+    const o = this.aligned(other);
+    if (o.numerator === 0n) throw new RangeError('Price: spread against a zero price');
+    const lhs = this.numerator * o.denominator;
+    const rhs = o.numerator * this.denominator;
+    return Number(((lhs - rhs) * 10000n) / rhs);
+  }
+
+  aligned(other) {
+    if (!sameToken(this.base, other.base) && !sameToken(this.base, other.quote)) {
+      throw new Error('Price: prices are for different pairs');
+    }
+    const o = other.orient(this.base);
+    if (!sameToken(this.quote, o.quote)) throw new Error('Price: prices are for different pairs');
+    return o;
+  }
+
+  /**
+   * The decimal-adjusted ratio: whole quote tokens per whole base token.
+   * @returns {{numerator: bigint, denominator: bigint}}
+   */
+  adjusted() {
+    return {
+      numerator:   this.numerator * 10n ** BigInt(this.base.decimals),
+      denominator: this.denominator * 10n ** BigInt(this.quote.decimals),
+    };
+  }
+
+  /**
+   * Decimal-adjusted price rounded (half up) to `places` decimal places.
+   * @returns {string}
+   */
+  toFixed(places = 6) {
+    const { numerator, denominator } = this.adjusted();
+    const scaled = divRound(numerator * 10n ** BigInt(places), denominator);
+    if (places === 0) return scaled.toString();
+    const digits = scaled.toString().padStart(places + 1, '0');
+    return `${digits.slice(0, -places)}.${digits.slice(-places)}`;
+  }
+
+  /**
+   * Decimal-adjusted price rounded (half up) to `significant` digits, without
+   * trailing zeros after the decimal point.
+   * @returns {string}
+   */
+  toSignificant(significant = 6) {
+    const { numerator, denominator } = this.adjusted();
+    if (numerator === 0n) return '0';
+
+    // exponent = floor(log10(numerator / denominator))
+    let exponent = numerator.toString().length - denominator.toString().length;
+    if (compareScaled(numerator, denominator, exponent) < 0) exponent--;
+
+    const shift = significant - 1 - exponent;
+    let digits = shift >= 0
+      ? divRound(numerator * 10n ** BigInt(shift), denominator)
+      : divRound(numerator, denominator * 10n ** BigInt(-shift));
+    // Rounding carried into a new digit (e.g. 9.9999 → 10.000)
+    if (digits.toString().length > significant) {
+      digits /= 10n;
+      exponent++;
+    }
+
+    const s = digits.toString();
+    let out;
+    if (exponent >= significant - 1) out = s + '0'.repeat(exponent - significant + 1);
+    else if (exponent < 0)           out = `0.${'0'.repeat(-exponent - 1)}${s}`;
+    else                             out = `${s.slice(0, exponent + 1)}.${s.slice(exponent + 1)}`;
+    return out.includes('.') ? out.replace(/\.?0+$/, '') : out;
+  }
+
+  /**
+   * Decimal-adjusted price as a float, for logs and heuristics only.
+   * @returns {number}
+   */
+  toNumber() {
+    return Number(this.toSignificant(17));
+  }
+
+  toString() {
+    const label = (t) => t.symbol ?? t.address;
+    return `${this.toSignificant(6)} ${label(this.quote)}/${label(this.base)}`;
+  }
+}
+
+function divRound(numerator, denominator) {
+  return (numerator * 2n + denominator) / (denominator * 2n);
+}
+
+/**
+ * Compare numerator / denominator with 10^exponent.
+ */
+function compareScaled(numerator, denominator, exponent) {
+  const lhs = exponent >= 0 ? numerator : numerator * 10n ** BigInt(-exponent);
+  const rhs = exponent >= 0 ? denominator * 10n ** BigInt(exponent) : denominator;
+  return lhs < rhs ? -1 : lhs > rhs ? 1 : 0;
+}
+
+module.exports = { Price };
@@ -0,0 +1,138 @@
+// engine/profit.js – Net-profit model: Aave premium, DEX fees and gas cost
+'use strict';
+
+const { ethers }         = require('ethers');
+const { swapFee }        = require('./fees');
+
+const AAVE_ORACLE_ABI = [
+  'function getAssetPrice(address asset) external view returns (uint256)',
+  'function BASE_CURRENCY_UNIT() external view returns (uint256)',
+];
+
+class ProfitCalculator {
+  /**
+   * @param {ethers.Provider} provider
+   * @param {object} chainConfig  – entry from engine/config.js CHAINS
+   * @param {TokenRegistry} tokens
+   * @param {AaveReader} aave     Source of the oracle address and flash-loan premium
+   */
+  constructor(provider, chainConfig, tokens, aave) {
+    this.provider    = provider;
+    this.chainConfig = chainConfig;
+    this.tokens      = tokens;
+    this.aave        = aave;
+    this.oracle      = null;
+  }
+
+  async init() {
+    if (this.oracle) return;
+    await this.aave.init();
+    const oracle = new ethers.Contract(this.aave.oracleAddress, AAVE_ORACLE_ABI, this.provider);
+    this.baseCurrencyUnit = await oracle.BASE_CURRENCY_UNIT();
+    this.oracle = oracle;
+  }
+
+  /**
+   * Convert a native-currency (wei) amount to `token` units using the Aave oracle.
+   */
+  async nativeToToken(weiAmount, token) {
+    await this.init();
+    const [nativePrice, tokenPrice, decimals] = await Promise.all([
+      this.oracle.getAssetPrice(this.chainConfig.weth),
+      this.oracle.getAssetPrice(token),
+      this.tokens.decimals(token),
+    ]);
+    if (tokenPrice === 0n) throw new Error(`No oracle price for ${token}`);
+    return (weiAmount * nativePrice * 10n ** BigInt(decimals)) /
+      (tokenPrice * 10n ** 18n);
+  }
+
+  /**
+   * Convert an amount of `fromToken` to `toToken` units at Aave oracle prices.
+   */
+  async convert(amount, fromToken, toToken) {
+    await this.init();
+    const [fromPrice, toPrice, fromDecimals, toDecimals] = await Promise.all([
+      this.oracle.getAssetPrice(fromToken),
+      this.oracle.getAssetPrice(toToken),
+      this.tokens.decimals(fromToken),
+      this.tokens.decimals(toToken),
+    ]);
+    if (fromPrice === 0n || toPrice === 0n) throw new Error(`No oracle price for ${fromPrice === 0n ? fromToken : toToken}`);
+    return (amount * fromPrice * 10n ** BigInt(toDecimals)) /
+      (toPrice * 10n ** BigInt(fromDecimals));
+  }
+
+  /**
+   * Value a `token` amount in USD using the Aave oracle (base currency = USD).
+   */
+  async toUsd(amount, token) {
+    await this.init();
+    const [price, decimals] = await Promise.all([
+      this.oracle.getAssetPrice(token),
+      this.tokens.decimals(token),
+    ]);
+    const scale = 10n ** BigInt(decimals);
+    // Keep four decimals of precision through the BigInt division
+    return Number((amount * price * 10000n) / (scale * this.baseCurrencyUnit)) / 10000;
+  }
+
+  /**
+   * Amount of `token` worth `usd` at the Aave oracle price (inverse of toUsd).
+   */
+  async fromUsd(usd, token) {
+    await this.init();
+    const [price, decimals] = await Promise.all([
+      this.oracle.getAssetPrice(token),
+      this.tokens.decimals(token),
+    ]);
+    if (price === 0n) throw new Error(`No oracle price for ${token}`);
+    const scale = 10n ** BigInt(decimals);
+    return (BigInt(Math.round(usd * 10000)) * scale * this.baseCurrencyUnit) / (price * 10000n);
+  }
+
+  /**
+   * Compute the net profit of an opportunity after every cost of the trade.
+   *
+   * Swap fees are already deducted by the scanner's round-trip quote; they are
+   * reported here (in borrowed-token units) so the breakdown is complete, but
+   * not subtracted a second time.
+   *
+   * @param {object} opportunity  From PoolScanner.findArbitrageOpportunities
+   * @param {bigint} loanAmount   Amount borrowed, in tokenA units
+   * @param {bigint} gasUnits     Gas limit expected for executeArbitrage
+   * @param {object} [feeData]    Live fee data; fetched from the provider if omitted
+   * @returns {Promise<{grossProfit, premium, dexFees, gasCost, netProfit, netProfitUsd}>}
+   *   All amounts are bigint in tokenA units except netProfitUsd (number);
+   *   dexFees is null when the intermediate token has no oracle price.
+   */
+  async evaluate(opportunity, loanAmount, gasUnits, feeData) {
+    const token = opportunity.tokenA;
+    const fees  = feeData ?? await this.provider.getFeeData();
+    const gasPrice = fees.gasPrice ?? fees.maxFeePerGas ?? 0n;
+
+    // Each leg pays its fee on its input: tokenA into the buy venue, then the
+    // intermediate tokenB into the sell venue (valued in tokenA at oracle prices).
+    // The fee is only reported, so a tokenB without an oracle price leaves it
+    // unknown rather than failing the evaluation
+    const [premiumBps, gasCost, sellFee] = await Promise.all([
+      this.aave.premiumBps(),
+      this.nativeToToken(gasUnits * gasPrice, token),
+      this.convert(swapFee(opportunity.sell, opportunity.tokenB, opportunity.amountIntermediate), opportunity.tokenB, token)
+        .catch((err) => {
+          if (!err.message.startsWith('No oracle price')) throw err;
+          return null;
+        }),
+    ]);
+
+    const grossProfit = opportunity.expectedOut - loanAmount;
+    const premium     = (loanAmount * premiumBps) / 10000n;
+    const dexFees     = sellFee == null ? null : swapFee(opportunity.buy, token, loanAmount) + sellFee;
+    const netProfit   = grossProfit - premium - gasCost;
+    const netProfitUsd = await this.toUsd(netProfit, token);
+
+    return { grossProfit, premium, dexFees, gasCost, netProfit, netProfitUsd };
+  }
+}
+
+module.exports = { ProfitCalculator };
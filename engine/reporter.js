@@ -0,0 +1,42 @@
+// engine/reporter.js – Shared reporting stream for all chain runners
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * Reporter fans every engine message into one stream: each entry is written to
+ * the console prefixed with its chain and emitted as a 'report' event
+ * ({ ts, level, chain, message }) for other consumers such as the dashboard.
+ */
+class Reporter extends EventEmitter {
+  /**
+   * @param {Console} [output]  Sink for formatted lines (defaults to console)
+   */
+  constructor(output = console) {
+    super();
+    this.output = output;
+  }
+
+  write(level, chain, message) {
+    const entry = { ts: new Date().toISOString(), level, chain, message };
+    this.emit('report', entry);
+    const line = `[${entry.ts}] [${chain}] ${message}`;
+    if (level === 'error') this.output.error(line);
+    else if (level === 'warn') this.output.warn(line);
+    else this.output.log(line);
+  }
+
+  /**
+   * A console-like logger bound to one chain.
+   * @returns {{log: Function, warn: Function, error: Function}}
+   */
+  forChain(chain) {
+    return {
+      log:   (message) => this.write('info', chain, message),
+      warn:  (message) => this.write('warn', chain, message),
+      error: (message) => this.write('error', chain, message),
+    };
+  }
+}
+
+module.exports = { Reporter };
@@ -0,0 +1,146 @@
+// engine/routes.js – Triangular / multi-hop cycle search over the scanned pool graph
+'use strict';
+
+// Cycle lengths searched; 2-hop cycles are the pairwise scan's job
+const MIN_HOPS = 3;
+const MAX_HOPS = 4;
+
+/**
+ * RouteFinder searches the pools PoolScanner has scanned for cycles of 3–4
+ * hops (e.g. USDC → WETH → DAI → USDC) that return more than they take.
+ *
+ * Every venue contributes a directed edge per direction weighted -ln(rate),
+ * so a profitable cycle is exactly a negative one. The graph is as small as
+ * the watchlist, so cycles are enumerated exhaustively with a depth-bounded
+ * search from each start token — unlike Bellman-Ford this finds every
+ * negative cycle through the start token, not just one. Candidates are then
+ * quoted hop by hop at the loan size, taking the best venue for each hop.
+ */
+class RouteFinder {
+  /**
+   * @param {PoolScanner} scanner  Source of venues (scanner.venues) and quotes
+   */
+  constructor(scanner) {
+    this.scanner = scanner;
+  }
+
+  /**
+   * Build the token graph from the latest scan of `pairs`.
+   * @returns {Map<string, Map<string, {venues: object[], weight: number}>>}
+   *   tokenIn (lowercase) → tokenOut (lowercase) → venues and best -ln(rate)
+   */
+  buildGraph(pairs) {
+    const graph = new Map();
+    const addEdge = (venue, tokenIn, tokenOut) => {
+      const rate = this.scanner.spotRate(venue, tokenIn);
+      if (!(rate > 0) || !Number.isFinite(rate)) return;
+      const [from, to] = [tokenIn.toLowerCase(), tokenOut.toLowerCase()];
+      if (!graph.has(from)) graph.set(from, new Map());
+      const edges = graph.get(from);
+      const edge  = edges.get(to) ?? { tokenIn, tokenOut, venues: [], weight: Infinity };
+      edge.venues.push(venue);
+      edge.weight = Math.min(edge.weight, -Math.log(rate));
+      edges.set(to, edge);
+    };
+
+    for (const { tokenA, tokenB } of pairs) {
+      const venues = this.scanner.venues.get(`${tokenA.toLowerCase()}/${tokenB.toLowerCase()}`) ?? [];
+      for (const venue of venues) {
+        addEdge(venue, tokenA, tokenB);
+        addEdge(venue, tokenB, tokenA);
+      }
+    }
+    return graph;
+  }
+
+  /**
+   * Every cycle of MIN_HOPS–MAX_HOPS hops through `start` with negative total
+   * weight (profitable at spot prices), most negative first.
+   * @returns {Array<{edges: object[], weight: number}>}
+   */
+  negativeCycles(graph, start) {
+    const origin = start.toLowerCase();
+    const cycles = [];
+
+    const walk = (node, edges, weight, visited) => {
+      for (const [next, edge] of graph.get(node) ?? []) {
+        const total = weight + edge.weight;
+        if (next === origin) {
+          if (edges.length + 1 >= MIN_HOPS && total < 0) cycles.push({ edges: [...edges, edge], weight: total });
+        } else if (!visited.has(next) && edges.length + 1 < MAX_HOPS) {
+          visited.add(next);
+          walk(next, [...edges, edge], total, visited);
+          visited.delete(next);
+        }
+      }
+    };
+    walk(origin, [], 0, new Set([origin]));
+
+    return cycles.sort((a, b) => a.weight - b.weight);
+  }
+
+  /**
+   * Quote a cycle at `amountIn`, choosing the venue with the best output for
+   * each hop given the amount actually arriving at it.
+   * @returns {Promise<object|null>} Route description, or null when a hop cannot be filled
+   */
+  async quoteCycle(cycle, amountIn) {
+    const hops = [];
+    let amount = amountIn;
+
+    for (const edge of cycle.edges) {
+      let best = null;
+      for (const venue of edge.venues) {
+        const quote = await this.scanner.quoteExactIn(venue, edge.tokenIn, amount);
+        if (quote && (!best || quote.amountOut > best.amountOut)) best = { venue, ...quote };
+      }
+      if (!best) return null;
+      hops.push({
+        venue:          best.venue,
+        tokenIn:        edge.tokenIn,
+        tokenOut:       edge.tokenOut,
+        amountIn:       amount,
+        amountOut:      best.amountOut,
+        priceImpactBps: best.priceImpactBps,
+      });
+      amount = best.amountOut;
+    }
+
+    const profit = amount - amountIn;
+    return {
+      tokens:         [cycle.edges[0].tokenIn, ...cycle.edges.map((e) => e.tokenOut)],
+      hops,
+      tokenBorrow:    cycle.edges[0].tokenIn,
+      amountIn,
+      expectedOut:    amount,
+      profit,
+      profitBps:      Number((profit * 10000n) / amountIn),
+      spotProfitBps:  Math.round((Math.exp(-cycle.weight) - 1) * 10000),
+      priceImpactBps: hops.reduce((sum, h) => sum + h.priceImpactBps, 0),
+    };
+  }
+
+  /**
+   * Find profitable 3–4 hop routes starting and ending in each start token.
+   *
+   * @param {object[]} pairs       Pairs whose latest scan forms the graph ({tokenA, tokenB})
+   * @param {Array<{token: string, amountIn: bigint}>} starts  Borrowable tokens and loan sizes
+   * @param {number} minProfitBps
+   * @returns {Promise<object[]>} Routes sorted by profitBps descending
+   */
+  async findRoutes(pairs, starts, minProfitBps) {
+    const graph  = this.buildGraph(pairs);
+    const routes = [];
+
+    for (const { token, amountIn } of starts) {
+      for (const cycle of this.negativeCycles(graph, token)) {
+        const route = await this.quoteCycle(cycle, amountIn);
+        if (route && route.profitBps >= minProfitBps) routes.push(route);
+      }
+    }
+
+    return routes.sort((a, b) => b.profitBps - a.profitBps);
+  }
+}
+
+module.exports = { RouteFinder };
@@ -0,0 +1,709 @@
+// engine/runner.js – Per-chain scanner/executor pair with its own scan loop
+'use strict';
+
+const { ethers }        = require('ethers');
+const { PoolScanner }   = require('./scanner');
+const { ArbExecutor, buildArbParams } = require('./executor');
+const { FlashbotsProvider } = require('./flashbots');
+const { ProfitCalculator }  = require('./profit');
+const { computeMinOuts }    = require('./slippage');
+const { defaultPairs }      = require('./watchlist');
+const { TokenRegistry }     = require('./tokens');
+const { AaveReader }        = require('./aave');
+const { POOL_EVENT_TOPICS } = require('./mirror');
+const { RouteFinder }       = require('./routes');
+const { optimizeLoanSize, loanCap, probeAmount } = require('./sizing');
+const { ArbRevertError }    = require('./errors');
+
+// Opportunities (best first) whose loan size is optimised each scan
+const SIZING_CANDIDATES = 3;
+
+// How long a pair is left out of scans after the contract rejects its trade,
+// by ArbRevertError category; doubled for each repeat, up to MAX_BACKOFF_MS.
+// Reserve state outlasts a moved price, so Aave reverts wait longest.
+// 'unauthorized' is a wallet/contract mismatch, not a pair problem.
+const BACKOFF_MS = {
+  'insufficient profit': 15 * 1000,
+  'slippage':            15 * 1000,
+  'DEX revert':          60 * 1000,
+  'Aave revert':         5 * 60 * 1000,
+  'no trace':            60 * 1000,
+  'unknown':             60 * 1000,
+};
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+// Pool events that change a pair's price: the mirrored V3/V2 events plus
+// Curve TokenExchange (Curve is always quoted live)
+const PRICE_EVENT_TOPICS = [
+  ...POOL_EVENT_TOPICS,
+  ethers.id('TokenExchange(address,int128,uint256,int128,uint256)'),
+];
+
+function pairKey({ tokenA, tokenB }) {
+  return `${tokenA.toLowerCase()}/${tokenB.toLowerCase()}`;
+}
+
+/**
+ * Load the Flashbots reputation signer from FLASHBOTS_AUTH_KEY so relay
+ * reputation accumulates across restarts. The key must not be the trading key.
+ */
+function loadFlashbotsAuthSigner(tradingWallet, log) {
+  const key = process.env.FLASHBOTS_AUTH_KEY;
+  if (!key || key === 'your_flashbots_auth_key_here') {
+    log.warn('⚠️   FLASHBOTS_AUTH_KEY not set – using a random auth signer (no relay reputation)');
+    return ethers.Wallet.createRandom();
+  }
+
+  let signer;
+  try {
+    signer = new ethers.Wallet(key);
+  } catch (err) {
+    throw new Error(`Invalid FLASHBOTS_AUTH_KEY: ${err.message}`);
+  }
+  if (signer.address === tradingWallet.address) {
+    throw new Error('FLASHBOTS_AUTH_KEY must be a separate key, not PRIVATE_KEY');
+  }
+  return signer;
+}
+
+class ChainRunner {
+  /**
+   * @param {string}   chainName   Key in engine/config.js CHAINS
+   * @param {object}   chainConfig Entry from CHAINS
+   * @param {object}   settings    Per-chain settings resolved by engine/index.js
+   * @param {Reporter} reporter    Shared reporting stream
+   * @param {Watchlist} [watchlist] Pair universe; the built-in pairs are used without one
+   */
+  constructor(chainName, chainConfig, settings, reporter, watchlist = null) {
+    this.chainName   = chainName;
+    this.chainConfig = chainConfig;
+    this.settings    = settings;
+    this.log         = reporter.forChain(chainName);
+    this.scanCount   = 0;
+    this.timer       = null;
+    // Scan scheduling: at most one scan in flight; requests made meanwhile are
+    // merged into `dirty` and run as one follow-up scan
+    this.inFlight    = null;
+    this.dirty       = new Set();
+    this.dirtyAll    = false;
+    // pool address (lowercase) → pair keys it prices, for 'logs' mode
+    this.poolPairs   = new Map();
+    this.logFilter   = null;
+    this.scanned     = new Set(); // pair keys scanned at least once
+    this.watchlist   = watchlist;
+    // Pairs already reported as untradable, so a bad token is logged once
+    this.skipped     = new Set();
+    // Venues (pool address, lowercase) currently reported as data errors
+    this.dataErrors  = new Set();
+    // pair key → { until, failures } for pairs whose trades the contract rejected
+    this.backoff     = new Map();
+  }
+
+  // Token pairs to monitor on this chain; re-read every scan so watchlist
+  // reloads take effect on the next cycle
+  get pairs() {
+    return this.watchlist ? this.watchlist.pairs(this.chainName) : defaultPairs(this.chainConfig);
+  }
+
+  buildProvider() {
+    const rpcUrl = process.env[this.chainConfig.rpcEnv];
+    if (!rpcUrl) throw new Error(`Missing env var: ${this.chainConfig.rpcEnv}`);
+
+    // Proxy socket support: if rpcUrl starts with ws:// use WebSocket provider
+    if (rpcUrl.startsWith('ws')) {
+      return new ethers.WebSocketProvider(rpcUrl);
+    }
+    return new ethers.JsonRpcProvider(rpcUrl);
+  }
+
+  /**
+   * Connect, build the scanner/executor pair and start the scan loop.
+   * Throws if the chain cannot be set up; the caller decides whether the
+   * remaining chains keep running.
+   */
+  async start() {
+    const { settings, chainConfig } = this;
+
+    this.log.log(`🚀  ${chainConfig.name}`);
+    this.log.log(`     Trade Live : ${settings.tradeLive}`);
+    this.log.log(`     Loan cap   : ${settings.loanAmount} (token units; watchlist limits override)`);
+    this.log.log(`     Min Profit : ${settings.minProfitBps} bps / $${settings.minProfitUsd} net`);
+    this.log.log(`     Scan mode  : ${settings.scanMode}` +
+      (settings.scanMode === 'interval' ? ` (${settings.scanIntervalMs} ms)` : ''));
+    this.log.log(`     Pairs      : ${this.pairs.length}`);
+
+    this.provider = this.buildProvider();
+    if (typeof this.provider.on === 'function') {
+      this.provider.on('error', (err) => this.log.error(`[provider] ${err.message}`));
+    }
+
+    const wallet = settings.privateKey
+      ? new ethers.Wallet(settings.privateKey, this.provider)
+      : null;
+
+    if (settings.tradeLive && !wallet) {
+      throw new Error('PRIVATE_KEY not set – cannot trade live.');
+    }
+    if (settings.tradeLive && !settings.arbContract) {
+      throw new Error(`ARB_CONTRACT_ADDRESS_${this.chainName.toUpperCase()} not set – cannot trade live.`);
+    }
+
+    // Flashbots provider (chains with relays configured)
+    this.flashbots = null;
+    if (chainConfig.flashbots && wallet) {
+      const fbAuthSigner = loadFlashbotsAuthSigner(wallet, this.log);
+      // FLASHBOTS_RELAY_URL replaces the configured relay set with a single endpoint
+      const relays = settings.flashbots.relayUrl || chainConfig.relays;
+      this.flashbots = new FlashbotsProvider(this.provider, fbAuthSigner, relays, {
+        timeoutMs: settings.flashbots.timeoutMs,
+      });
+      const relayNames = this.flashbots.relays.map((r) => r.name).join(', ');
+      this.log.log(`⚡  Flashbots relays enabled (${relayNames}, fallback: ${settings.flashbots.fallback})`);
+      this.log.log(`     Auth signer: ${fbAuthSigner.address}`);
+    }
+
+    this.tokens   = new TokenRegistry(this.provider, chainConfig);
+    this.scanner  = new PoolScanner(this.provider, chainConfig, this.tokens, { logger: this.log });
+    this.aave     = new AaveReader(this.provider, chainConfig, { reader: this.scanner.multicall });
+    this.profits  = new ProfitCalculator(this.provider, chainConfig, this.tokens, this.aave);
+    this.routes   = new RouteFinder(this.scanner);
+    if (settings.routeSearch) {
+      this.log.log('🔺  Route search on (3–4 hop cycles are reported; the contract only executes two-leg trades)');
+    }
+
+    // Pick up pools launched for watched pairs without a restart
+    this.scanner.pools.on('error', (err) => this.log.error(`[pools] Factory event subscription failed: ${err.message}`));
+    this.scanner.pools.on('pool', ({ source, fee, address }) => {
+      this.log.log(`🆕  New ${source}${fee ? ` ${fee}` : ''} pool for a watched pair: ${address}`);
+    });
+    this.scanner.pools.watch();
+    this.executor = settings.tradeLive
+      ? new ArbExecutor(wallet, settings.arbContract, chainConfig, {
+        flashbots:         this.flashbots,
+        targetBlocks:      settings.flashbots.targetBlocks,
+        fallback:          settings.flashbots.fallback,
+        logger:            this.log,
+        quoteToleranceBps: settings.quoteToleranceBps,
+        nonce:             settings.nonce,
+        abiPath:           settings.arbAbiPath,
+      })
+      : null;
+    // Every trade is verified with debug_traceCall before it is sent
+    if (this.executor) await this.executor.checkTraceSupport();
+
+    // Run first scan immediately, then on every trigger of the scan mode
+    await this.requestScan();
+    this.startTriggers();
+  }
+
+  /**
+   * Wire scan triggers for SCAN_MODE:
+   *   interval – every SCAN_INTERVAL_MS, all pairs
+   *   block    – every new block, all pairs
+   *   logs     – Swap/Mint/Burn/Sync/TokenExchange logs of watched pools
+   *              (WebSocket RPC), re-pricing only the pairs those pools belong
+   *              to from the log-fed pool mirror
+   */
+  startTriggers() {
+    const { settings } = this;
+    this.mode = settings.scanMode;
+    if (this.mode === 'logs' && !(this.provider instanceof ethers.WebSocketProvider)) {
+      this.log.warn('⚠️   SCAN_MODE=logs needs a ws:// RPC – falling back to block mode');
+      this.mode = 'block';
+    }
+
+    if (this.mode === 'interval') {
+      this.timer = setInterval(() => this.requestScan(), settings.scanIntervalMs);
+    } else if (this.mode === 'block') {
+      this.subscribe('block', () => this.requestScan());
+    } else {
+      this.updateLogFilter();
+      // Pool state now follows the logs; quote from it instead of re-reading
+      this.scanner.mirror.enabled = true;
+      // Pairs added to the watchlist since the last scan have no pools to
+      // listen to yet; scan them on the next block
+      this.subscribe('block', () => {
+        this.requestScan(this.pairs.map(pairKey).filter((key) => !this.scanned.has(key)));
+      });
+    }
+  }
+
+  /**
+   * Subscribe to a provider event. Subscribing is asynchronous; a failure is
+   * this chain's to report, so it is logged here rather than left to reject.
+   */
+  subscribe(event, handler) {
+    this.provider.on(event, handler).catch((err) => this.log.error(`[provider] Subscription failed: ${err.message}`));
+  }
+
+  /**
+   * (Re)subscribe to price events of every pool discovered for the current pairs.
+   */
+  updateLogFilter() {
+    const poolPairs = new Map();
+    for (const pair of this.pairs) {
+      for (const pool of this.scanner.knownPools(pair.tokenA, pair.tokenB)) {
+        const addr = pool.toLowerCase();
+        if (!poolPairs.has(addr)) poolPairs.set(addr, new Set());
+        poolPairs.get(addr).add(pairKey(pair));
+      }
+    }
+
+    const addresses = [...poolPairs.keys()].sort();
+    const unchanged = this.logFilter && addresses.join() === this.logFilter.address.join();
+    this.poolPairs  = poolPairs;
+    if (unchanged || addresses.length === 0) return;
+
+    if (this.logFilter) this.provider.off(this.logFilter, this.onPoolLog);
+    this.logFilter = { address: addresses, topics: [PRICE_EVENT_TOPICS] };
+    this.onPoolLog = (log) => {
+      this.scanner.mirror.apply(log);
+      const keys = this.poolPairs.get(log.address.toLowerCase());
+      if (keys) this.requestScan([...keys]);
+    };
+    this.subscribe(this.logFilter, this.onPoolLog);
+    this.log.log(`👂  Watching price events on ${addresses.length} pools`);
+  }
+
+  /**
+   * Ask for a scan of some pairs (by pairKey) or, with no argument, of all of
+   * them. Never starts a second concurrent scan: while one is running the
+   * request is merged into the next one.
+   */
+  requestScan(keys = null) {
+    if (keys === null) this.dirtyAll = true;
+    else keys.forEach((key) => this.dirty.add(key));
+
+    if (!this.inFlight && (this.dirtyAll || this.dirty.size > 0)) {
+      this.inFlight = this.drainScans()
+        .catch((err) => this.log.error(`Scan failed: ${err.message}`))
+        .finally(() => { this.inFlight = null; });
+    }
+    return this.inFlight;
+  }
+
+  async drainScans() {
+    while (this.dirtyAll || this.dirty.size > 0) {
+      const pairs = this.dirtyAll
+        ? this.pairs
+        : this.pairs.filter((p) => this.dirty.has(pairKey(p)));
+      this.dirtyAll = false;
+      this.dirty    = new Set();
+      await this.scan(pairs);
+      pairs.forEach((p) => this.scanned.add(pairKey(p)));
+      if (this.mode === 'logs') this.updateLogFilter();
+    }
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    if (this.scanner) this.scanner.pools.unwatch();
+    if (this.provider) this.provider.destroy();
+  }
+
+  // Session inclusion rate plus the relay's view of our reputation
+  async logBundleStats() {
+    const { executor, flashbots } = this;
+    const { submitted, included, notIncluded, superseded } = executor.bundleStats;
+    const rate = executor.bundleInclusionRate();
+    this.log.log(
+      `📦  Bundles: ${submitted} sent, ${included} included, ${notIncluded} missed, ` +
+      `${superseded} superseded` +
+      (rate === null ? '' : ` (${(rate * 100).toFixed(1)}% inclusion)`)
+    );
+    for (const [name, r] of Object.entries(flashbots.relayStats)) {
+      this.log.log(
+        `📦  Relay ${name}: ${r.ok} ok, ${r.failed} failed, ${r.timeouts} timeouts` +
+        (r.lastLatencyMs === null ? '' : `, last ${r.lastLatencyMs}ms`)
+      );
+    }
+    try {
+      const stats = await flashbots.getUserStats(await this.provider.getBlockNumber());
+      this.log.log(
+        `📦  Relay reputation: ${stats.isHighPriority ? 'high' : 'low'} priority, ` +
+        `7d miner payments ${ethers.formatEther(stats.last7dMinerPayments)} ETH, ` +
+        `7d gas simulated ${stats.last7dGasSimulated}`
+      );
+    } catch (err) {
+      this.log.error(`[flashbots] getUserStats failed: ${err.message}`);
+    }
+  }
+
+  // ── Scan loop ──────────────────────────────────────────────────────────────
+  async scan(pairs = this.pairs) {
+    this.scanCount++;
+
+    // Quote every pair concurrently so their pool reads share Multicall
+    // batches, then act on the opportunities one at a time.
+    const found = await Promise.all(pairs.map((pair) => this.quotePair(pair).catch((scanErr) => {
+      this.log.error(`[scanner] Error scanning ${pair.tokenA}/${pair.tokenB}: ${scanErr.message}`);
+      return null;
+    })));
+
+    for (const candidate of found) {
+      if (!candidate) continue;
+      try {
+        await this.tradePair(candidate);
+      } catch (tradeErr) {
+        this.log.error(`[scanner] Error trading ${candidate.metaA.symbol}/${candidate.metaB.symbol}: ${tradeErr.message}`);
+      }
+    }
+
+    if (this.settings.routeSearch) {
+      try {
+        await this.searchRoutes();
+      } catch (routeErr) {
+        this.log.error(`[routes] ${routeErr.message}`);
+      }
+    }
+
+    if (this.scanCount % 100 === 0) {
+      const { batches, calls } = this.scanner.multicall.stats;
+      const { applied }        = this.scanner.mirror.stats;
+      this.log.log(
+        `🔄  Scans completed: ${this.scanCount} ` +
+        `(${calls} reads in ${batches} multicalls, ${applied} pool events mirrored)`
+      );
+      if (this.flashbots && this.executor) await this.logBundleStats();
+    }
+  }
+
+  /**
+   * Search the pools scanned so far for profitable 3–4 hop cycles, starting
+   * from each pair's borrow token at that pair's loan size.
+   */
+  async searchRoutes() {
+    const { tokens, settings, aave } = this;
+    const starts = new Map();
+    for (const pair of this.pairs) {
+      const key = pair.tokenA.toLowerCase();
+      if (starts.has(key)) continue;
+      let meta;
+      try {
+        meta = await tokens.resolveTradable(pair.tokenA);
+      } catch {
+        continue; // already reported by quotePair
+      }
+      const available = await aave.availableLiquidity(pair.tokenA);
+      if (available === 0n) continue; // not flash-loanable right now
+      const amount   = ethers.parseUnits(String(pair.loanAmount ?? settings.loanAmount), meta.decimals);
+      const amountIn = amount < available ? amount : available;
+      starts.set(key, { token: pair.tokenA, amountIn, meta });
+    }
+
+    const routes = await this.routes.findRoutes(this.pairs, [...starts.values()], settings.minProfitBps);
+    if (routes.length === 0) return;
+
+    const best     = routes[0];
+    const symbols  = await Promise.all(best.tokens.map(async (t) => (await tokens.resolve(t)).symbol));
+    const decimals = starts.get(best.tokenBorrow.toLowerCase()).meta.decimals;
+    this.log.log(
+      `🔺  Route found: ${best.profitBps} bps (spot ${best.spotProfitBps}) | ` +
+      `${symbols.join(' → ')} | ` +
+      `${best.hops.map((h) => h.venue.source).join(' → ')} | ` +
+      `profit ${ethers.formatUnits(best.profit, decimals)} ` +
+      `impact ${best.priceImpactBps} bps`
+    );
+  }
+
+  /**
+   * Find the best opportunity for one pair, borrowing whichever token pays
+   * more. Both orientations (borrow tokenA, sell into tokenB and back; or the
+   * reverse) are sized separately — each against its own Aave reserve, risk
+   * limit and decimals — and compared by net profit in USD.
+   *
+   * @param {object} pair  Watchlist entry: tokenA, tokenB and optional dexes,
+   *                       feeTiers, minProfitBps, minProfitUsd, loanAmount overrides
+   * @returns {Promise<{pair, settings, metaA, metaB, loanAmount, best} | null>}
+   *   best.tokenA is the borrowed token; metaA/metaB follow best's orientation
+   */
+  async quotePair(pair) {
+    const { scanner, aave, tokens } = this;
+    const { tokenA, tokenB } = pair;
+    const settings = {
+      ...this.settings,
+      minProfitBps: pair.minProfitBps ?? this.settings.minProfitBps,
+      minProfitUsd: pair.minProfitUsd ?? this.settings.minProfitUsd,
+      loanAmount:   pair.loanAmount ?? this.settings.loanAmount,
+    };
+
+    // Never size or trade a pair whose token metadata is unknown or flagged.
+    // Each token is a borrow candidate while Aave will flash-loan it (re-checked
+    // as reserve flags are refreshed, so a paused reserve resumes on its own).
+    const key = pairKey(pair);
+    if (Date.now() < (this.backoff.get(key)?.until ?? 0)) return null;
+
+    let metaA, metaB, reason = null;
+    let sides = [];
+    try {
+      [metaA, metaB] = await Promise.all([tokens.resolveTradable(tokenA), tokens.resolveTradable(tokenB)]);
+    } catch (err) {
+      reason = err.message;
+    }
+    if (!reason) {
+      const [reasonA, reasonB] = await Promise.all([aave.unavailableReason(tokenA), aave.unavailableReason(tokenB)]);
+      if (!reasonA) sides.push({ borrow: metaA, other: metaB, reversed: false });
+      if (!reasonB) sides.push({ borrow: metaB, other: metaA, reversed: true });
+      if (sides.length === 0) {
+        reason = `cannot flash-loan ${metaA.symbol} (${reasonA}) or ${metaB.symbol} (${reasonB})`;
+      }
+    }
+    if (reason) {
+      if (!this.skipped.has(key)) this.log.warn(`⛔  Skipping ${tokenA}/${tokenB}: ${reason}`);
+      this.skipped.add(key);
+      return null;
+    }
+    this.skipped.delete(key);
+
+    // Venues are read once; each orientation simulates its own round trips.
+    // Prices too far apart to be real are data errors, not opportunities.
+    const venues = await scanner.scanVenues(tokenA, tokenB, {
+      dexes:        pair.dexes,
+      feeTiers:     pair.feeTiers,
+      maxSpreadBps: settings.maxSpreadBps,
+    });
+    this.reportDataErrors(venues, scanner.rejected.get(key) ?? []);
+    const premiumBps = await aave.premiumBps();
+
+    let sized = null;
+    for (const side of sides) {
+      let result;
+      try {
+        result = await this.sizeOrientation(pair, settings, side, venues, premiumBps);
+      } catch (err) {
+        this.log.error(`[scanner] Sizing ${side.borrow.symbol} loan for ${metaA.symbol}/${metaB.symbol}: ${err.message}`);
+        continue;
+      }
+      if (result && (!sized || result.netProfitUsd > sized.netProfitUsd)) sized = result;
+    }
+    if (!sized) return null;
+
+    const { trip, borrow, other, cap } = sized;
+    const loanAmount = sized.amountIn;
+    const best = {
+      ...sized.opp,
+      spread:             trip.profitBps / 10000,
+      profitBps:          trip.profitBps,
+      amountIn:           loanAmount,
+      amountIntermediate: trip.amountIntermediate,
+      expectedOut:        trip.amountOut,
+      profit:             trip.profit,
+      priceImpactBps:     trip.priceImpactBps,
+    };
+
+    const fmt = (amount) => ethers.formatUnits(amount, borrow.decimals);
+    this.log.log(
+      `💰  Arb found: ${best.profitBps} bps | ` +
+      `${best.buy.source} → ${best.sell.source}` +
+      `${best.buy.dexId && best.sell.dexId ? '' : ' (not executable)'} | ` +
+      `${borrow.symbol}/${other.symbol} | ` +
+      `out ${fmt(best.expectedOut)} ` +
+      `profit ${fmt(best.profit)} ` +
+      `impact ${best.priceImpactBps} bps`
+    );
+    this.log.log(
+      `📐  Borrow ${fmt(loanAmount)} ${borrow.symbol} (cap ${fmt(cap.amount)}, bound by ${cap.boundBy}) | ` +
+      `net of premium ${fmt(sized.netProfit)} ($${sized.netProfitUsd.toFixed(2)}) | curve ` +
+      sized.curve.map((p) => `${fmt(p.amountIn)}→${p.netProfit === null ? 'unfillable' : fmt(p.netProfit)}`).join(' ')
+    );
+    return { pair, settings, metaA: borrow, metaB: other, loanAmount, best };
+  }
+
+  /**
+   * Log venues dropped for implausible prices, once per venue until its price
+   * is plausible again.
+   */
+  reportDataErrors(venues, rejected) {
+    const address = (venue) => (venue.pool ?? venue.pair).toLowerCase();
+    for (const venue of venues) this.dataErrors.delete(address(venue));
+
+    for (const { venue, reference, spreadBps } of rejected) {
+      if (this.dataErrors.has(address(venue))) continue;
+      this.dataErrors.add(address(venue));
+      this.log.warn(
+        `⚠️  [scanner] Data error: ${venue.source} ${venue.pool ?? venue.pair} prices ${venue.price} ` +
+        `vs ${reference} (${spreadBps > 0 ? '+' : ''}${spreadBps} bps, limit ${this.settings.maxSpreadBps}) – ignored`
+      );
+    }
+  }
+
+  /**
+   * Detect and size opportunities that borrow `side.borrow`.
+   *
+   * The configured loan amount is the default risk limit, in the pair's tokenA
+   * units (converted at oracle prices when tokenB is borrowed); the watchlist
+   * can set a per-token limit instead. Opportunities are detected at a small
+   * probe size, then each is sized between zero and the cap. When trading
+   * live, only opportunities the deployed contract can route (both venues
+   * have a dexId) are sized.
+   *
+   * @returns {Promise<object|null>} optimizeLoanSize result plus opp, cap,
+   *   borrow, other and netProfitUsd; null when nothing is profitable
+   */
+  async sizeOrientation(pair, settings, side, venues, premiumBps) {
+    const { scanner, aave, profits } = this;
+    const { borrow, other } = side;
+
+    const limit = this.watchlist?.loanLimit(this.chainName, borrow.address);
+    let riskLimit;
+    if (limit != null) {
+      riskLimit = ethers.parseUnits(String(limit), borrow.decimals);
+    } else if (side.reversed) {
+      const configured = ethers.parseUnits(String(settings.loanAmount), other.decimals);
+      riskLimit = await profits.convert(configured, other.address, borrow.address);
+    } else {
+      riskLimit = ethers.parseUnits(String(settings.loanAmount), borrow.decimals);
+    }
+
+    const found = await scanner.findArbitrageOpportunities(
+      borrow.address, other.address, settings.minProfitBps, probeAmount(riskLimit), { venues }
+    );
+    const opps = this.executor ? found.filter((o) => o.buy.dexId && o.sell.dexId) : found;
+    if (opps.length === 0) return null;
+
+    const cap = loanCap(await aave.availableLiquidity(borrow.address), riskLimit);
+
+    let sized = null;
+    for (const opp of opps.slice(0, SIZING_CANDIDATES)) {
+      const result = await optimizeLoanSize(scanner, opp, { maxAmount: cap.amount, premiumBps });
+      if (result && (!sized || result.netProfit > sized.netProfit)) sized = { ...result, opp };
+    }
+    if (!sized) return null;
+
+    const netProfitUsd = await profits.toUsd(sized.netProfit, borrow.address);
+    return { ...sized, cap, borrow, other, netProfitUsd };
+  }
+
+  /**
+   * Bound, cost and (when live) execute the opportunity found by quotePair.
+   */
+  async tradePair({ pair, settings, metaA, metaB, loanAmount, best }) {
+    const { scanner, profits, executor, aave } = this;
+    const tokenA   = best.tokenA; // the borrowed token
+    const decimals = metaA.decimals;
+
+    if (executor && !executor.accepts(best)) {
+      this.log.log(`⏳  ${metaA.symbol}/${metaB.symbol} trade still in flight, skipping`);
+      return;
+    }
+
+    // Liquidity and reserve flags may have moved since the loan was sized
+    const loan = await aave.checkLoan(tokenA, loanAmount);
+    if (!loan.ok) {
+      this.log.warn(
+        `⛔  [aave] Dropping ${metaA.symbol} loan of ${ethers.formatUnits(loanAmount, decimals)}: ${loan.reason} ` +
+        `(available ${ethers.formatUnits(loan.available, decimals)})`
+      );
+      return;
+    }
+
+    // Encode arbitrage params based on the best opportunity; amountOutMin1/2
+    // are filled from fresh quotes below when trading live. Dry runs also
+    // report venues the contract cannot route, so only encode when live.
+    const arbParamsObj = executor ? buildArbParams(best) : null;
+
+    // When trading live, bound both legs from fresh quotes and estimate gas
+    // against the deployed contract so the profit check and the transaction
+    // use the same limit.
+    let gasLimit = settings.gasUnitsEstimate;
+    if (executor) {
+      let bounds;
+      try {
+        bounds = await computeMinOuts(scanner, this.chainConfig, best, loanAmount, settings.slippageBps);
+        arbParamsObj.amountOutMin1 = bounds.amountOutMin1;
+        arbParamsObj.amountOutMin2 = bounds.amountOutMin2;
+        this.log.log(
+          `🛡️  Slippage ${bounds.slippageBps} bps (${bounds.pairClass}) | ` +
+          `minOut1 ${bounds.amountOutMin1} minOut2 ${bounds.amountOutMin2}`
+        );
+      } catch (quoteErr) {
+        this.log.error(`[slippage] ${quoteErr.message}`);
+        return;
+      }
+
+      // Guard against bugs in the local math and stale pool state
+      const check = await executor.crossCheck(best, loanAmount, bounds);
+      if (!check.ok) {
+        this.log.warn(`⛔  [executor] Aborting ${metaA.symbol} trade: local quotes disagree with on-chain quotes`);
+        return;
+      }
+
+      try {
+        gasLimit = await executor.estimateGas(tokenA, loanAmount, executor.encodeArbParams(arbParamsObj));
+      } catch (estErr) {
+        this.log.error(`[executor] estimateGas failed: ${estErr.message}`);
+        this.backOff(pair, estErr);
+        return;
+      }
+    }
+
+    const pnl = await profits.evaluate(best, loanAmount, gasLimit);
+    this.log.log(
+      `🧮  Net: ${ethers.formatUnits(pnl.netProfit, decimals)} ($${pnl.netProfitUsd.toFixed(2)}) | ` +
+      `gross ${ethers.formatUnits(pnl.grossProfit, decimals)} ` +
+      `premium ${ethers.formatUnits(pnl.premium, decimals)} ` +
+      `gas ${ethers.formatUnits(pnl.gasCost, decimals)} ` +
+      `(dex fees ${pnl.dexFees == null ? 'unknown' : ethers.formatUnits(pnl.dexFees, decimals)} included in quote)`
+    );
+    if (pnl.netProfitUsd < settings.minProfitUsd) return;
+
+    if (executor) {
+      try {
+        // The contract's profit is before gas, so the simulation must clear gas plus the USD floor
+        const minProfit = pnl.gasCost + await profits.fromUsd(settings.minProfitUsd, tokenA);
+        const trade = await executor.execute(best, loanAmount, arbParamsObj, { gasLimit, minProfit });
+        // Settled in the background: a stuck transaction is replaced by the
+        // executor's nonce manager without holding up later scans
+        trade.settled.then(
+          () => this.backoff.delete(pairKey(pair)),
+          (settleErr) => {
+            this.log.error(`[executor] Error: ${settleErr.message}`);
+            this.backOff(pair, settleErr);
+          }
+        );
+      } catch (execErr) {
+        this.log.error(`[executor] Error: ${execErr.message}`);
+        this.backOff(pair, execErr);
+      }
+    }
+  }
+
+  /**
+   * Leave a pair out of scans for a while after the contract rejected its
+   * trade (see BACKOFF_MS). Repeats double the wait; a pair whose last
+   * back-off ended long ago starts over.
+   */
+  backOff(pair, err) {
+    const base = err instanceof ArbRevertError ? BACKOFF_MS[err.category] : null;
+    if (!base) return;
+    const key      = pairKey(pair);
+    const previous = this.backoff.get(key);
+    const failures = previous && Date.now() - previous.until < MAX_BACKOFF_MS ? previous.failures + 1 : 1;
+    const waitMs   = Math.min(base * 2 ** (failures - 1), MAX_BACKOFF_MS);
+    this.backoff.set(key, { until: Date.now() + waitMs, failures });
+    this.log.warn(`⏸️  Backing off ${pair.tokenA}/${pair.tokenB} for ${Math.round(waitMs / 1000)} s after ${err.category} (${err.reason})`);
+  }
+}
+
+/**
+ * Start every chain's runner concurrently. A chain that fails to start is
+ * reported as soon as it fails and stopped; the other chains keep running.
+ *
+ * @param {ChainRunner[]} runners
+ * @param {Reporter} reporter
+ * @returns {Promise<ChainRunner[]>} The runners that started
+ */
+async function startRunners(runners, reporter) {
+  const started = [];
+  await Promise.all(runners.map((runner) => runner.start().then(
+    () => started.push(runner),
+    (err) => {
+      reporter.write('error', runner.chainName, `Failed to start: ${err.message}`);
+      runner.stop();
+    }
+  )));
+  return started;
+}
+
+module.exports = { ChainRunner, startRunners, loadFlashbotsAuthSigner };
@@ -1,168 +1,251 @@
 // engine/scanner.js – High-frequency pool scanner (Super Turbo Finder)
 'use strict';
 
-const { ethers } = require('ethers');
-
-const UNISWAP_V3_POOL_ABI = [
-  'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
-  'function liquidity() external view returns (uint128)',
-  'function token0() external view returns (address)',
-  'function token1() external view returns (address)',
-  'function fee() external view returns (uint24)',
-];
-
-const UNISWAP_V3_FACTORY_ABI = [
-  'function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)',
-];
-
-const UNISWAP_V2_PAIR_ABI = [
-  'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
-  'function token0() external view returns (address)',
-  'function token1() external view returns (address)',
-];
-
-const UNISWAP_V2_FACTORY_ABI = [
-  'function getPair(address tokenA, address tokenB) external view returns (address pair)',
-];
-
-// Uniswap V3 Factory addresses (same across most chains)
-const UNI_V3_FACTORY = '0x1F98431c8aD98523631AE4a59f267346ea31F984';
-// SushiSwap V2 Factory addresses per chainId
-const SUSHI_FACTORIES = {
-  1:     '0xC0AEe478e3658e2610c5F7A4A2E1777cE9e4f2Ac',
-  137:   '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
-  42161: '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
-  56:    '0xc35DADB65012eC5796536bD9864eD8773aBc74C4',
-};
+const { Multicall }      = require('./multicall');
+const { PoolRegistry }   = require('./pools');
+const { PoolMirror }     = require('./mirror');
+const { createAdapters } = require('./venues');
+
+/**
+ * Split a pair's venues into plausible ones and data errors: a venue whose
+ * price is more than `maxSpreadBps` from the median venue price is almost
+ * certainly a bad read (wrong decimals, a dead or manipulated pool), not an
+ * arbitrage. Two venues have no majority, so both are dropped when they
+ * disagree by more than the threshold. A zero price is always a data error
+ * (and cannot be ordered against prices quoted the other way round), so it is
+ * dropped before the median is taken.
+ *
+ * @returns {{venues: object[], rejected: Array<{venue, reference: Price, spreadBps: number}>}}
+ */
+function screenVenues(venues, maxSpreadBps) {
+  const priced = venues.filter((venue) => venue.price.numerator !== 0n);
+  const sorted = [...priced].sort((a, b) => a.price.compare(b.price));
+  const median = sorted[Math.floor((sorted.length - 1) / 2)]?.price;
+  const zero   = venues
+    .filter((venue) => venue.price.numerator === 0n)
+    .map((venue) => ({ venue, reference: median ?? venue.price, spreadBps: -10000 }));
+
+  if (priced.length < 2) return { venues: priced, rejected: zero };
+
+  if (priced.length === 2) {
+    const spreadBps = sorted[1].price.spreadBps(median);
+    if (Math.abs(spreadBps) <= maxSpreadBps) return { venues: priced, rejected: zero };
+    return { venues: [], rejected: [...zero, ...priced.map((venue) => ({ venue, reference: median, spreadBps }))] };
+  }
+
+  const kept     = [];
+  const rejected = zero;
+  for (const venue of priced) {
+    const spreadBps = venue.price.spreadBps(median);
+    if (Math.abs(spreadBps) > maxSpreadBps) rejected.push({ venue, reference: median, spreadBps });
+    else kept.push(venue);
+  }
+  return { venues: kept, rejected };
+}
 
 class PoolScanner {
   /**
    * @param {ethers.Provider} provider
    * @param {object} chainConfig  – entry from engine/config.js CHAINS
+   * @param {TokenRegistry} tokens  Token decimals for venue prices and Curve probes
+   * @param {object} [options]
+   * @param {object} [options.logger]  console-like sink (defaults to console)
    */
-  constructor(provider, chainConfig) {
+  constructor(provider, chainConfig, tokens, options = {}) {
     this.provider    = provider;
     this.chainConfig = chainConfig;
-    this.uniV3Factory = new ethers.Contract(UNI_V3_FACTORY, UNISWAP_V3_FACTORY_ABI, provider);
-    const sushiFactory = SUSHI_FACTORIES[chainConfig.chainId];
-    this.sushiFactory  = sushiFactory
-      ? new ethers.Contract(sushiFactory, UNISWAP_V2_FACTORY_ABI, provider)
-      : null;
+    this.tokens      = tokens;
+    this.logger      = options.logger ?? console;
+    // Every pool read goes through Multicall3: reads issued in the same turn
+    // (e.g. all pairs of a scan cycle) share one eth_call per phase.
+    this.multicall = new Multicall(provider, chainConfig.multicall3);
+    this.pools     = new PoolRegistry(provider, chainConfig, { reader: this.multicall });
+    this.mirror    = new PoolMirror();
+    // "tokenA/tokenB" (lowercase) → venues from the latest scan of the pair
+    this.venues    = new Map();
+    // "tokenA/tokenB" (lowercase) → venues dropped by screenVenues in that scan
+    this.rejected  = new Map();
+    // venue id → adapter, from chainConfig.venues (see engine/venues)
+    this.adapters  = createAdapters(chainConfig, {
+      multicall: this.multicall,
+      pools:     this.pools,
+      mirror:    this.mirror,
+      tokens,
+    });
   }
 
   /**
-   * Scan all fee tiers for a token pair on Uniswap V3 and get their prices.
-   * @returns {Array<{pool, fee, price}>}
+   * Addresses of every pool discovered so far for a pair, across all venues.
+   * Reads caches only; used to subscribe to the pools' swap events.
+   * @returns {string[]}
    */
-  async scanUniswapV3Pools(tokenA, tokenB) {
-    const feeTiers = [500, 3000, 10000];
-    const results  = [];
-
-    await Promise.all(
-      feeTiers.map(async (fee) => {
-        try {
-          const poolAddr = await this.uniV3Factory.getPool(tokenA, tokenB, fee);
-          if (poolAddr === ethers.ZeroAddress) return;
-
-          const pool   = new ethers.Contract(poolAddr, UNISWAP_V3_POOL_ABI, this.provider);
-          const [slot0, liquidity, t0] = await Promise.all([
-            pool.slot0(),
-            pool.liquidity(),
-            pool.token0(),
-          ]);
-
-          if (liquidity === 0n) return;
-
-          // Use BigInt arithmetic scaled to 1e18 to avoid float precision loss.
-          // price = (sqrtPriceX96 / 2^96)^2 = sqrtPriceX96^2 / 2^192
-          const sqrtPrice = slot0.sqrtPriceX96;
-          const SCALE     = 10n ** 18n;
-          const Q192      = 2n ** 192n;
-          const priceScaled = (sqrtPrice * sqrtPrice * SCALE) / Q192; // price * 1e18
-          if (priceScaled === 0n) return; // avoid division by zero when inverting very small prices
-          const adjScaled   = t0.toLowerCase() === tokenA.toLowerCase()
-            ? priceScaled
-            : (SCALE * SCALE) / priceScaled; // invert: 1/price scaled
-          // Keep price as a BigInt scaled by 1e18 to avoid precision loss; format later if needed
-          const price = adjScaled;
-
-          results.push({ pool: poolAddr, fee, price, liquidity, source: 'uniswapV3' });
-        } catch {
-          // pool doesn't exist or call reverted – skip
-        }
-      })
-    );
+  knownPools(tokenA, tokenB) {
+    const registered = [...this.adapters.values()]
+      .filter((adapter) => adapter.knownPools)
+      .flatMap((adapter) => adapter.knownPools(tokenA, tokenB));
+    return [...this.pools.known(tokenA, tokenB), ...registered];
+  }
+
+  /**
+   * Adapter a scanned venue came from.
+   */
+  adapter(venue) {
+    const adapter = this.adapters.get(venue.source);
+    if (!adapter) throw new Error(`No venue adapter for ${venue.source}`);
+    return adapter;
+  }
 
-    return results;
+  /**
+   * Quote an exact-input swap against a scanned venue through its adapter:
+   * V3 and V2 venues are priced from their loaded state, Curve and Balancer
+   * venues are quoted on chain.
+   *
+   * @param {object} venue     Entry from scanVenues
+   * @param {string} tokenIn
+   * @param {bigint} amountIn  In tokenIn units
+   * @returns {Promise<{amountOut: bigint, priceImpactBps: number} | null>}
+   *   null when the pool cannot absorb the trade within known liquidity.
+   */
+  async quoteExactIn(venue, tokenIn, amountIn) {
+    return this.adapter(venue).quote(venue, tokenIn, amountIn);
   }
 
   /**
-   * Get price from a SushiSwap V2 pair.
+   * Marginal exchange rate of a venue for tokenIn → its other token, in raw
+   * token units and net of the swap fee.
+   * @returns {number}
    */
-  async scanSushiswapPair(tokenA, tokenB) {
-    if (!this.sushiFactory) return null;
-    try {
-      const pairAddr = await this.sushiFactory.getPair(tokenA, tokenB);
-      if (pairAddr === ethers.ZeroAddress) return null;
-
-      const pair = new ethers.Contract(pairAddr, UNISWAP_V2_PAIR_ABI, this.provider);
-      const [reserves, t0] = await Promise.all([pair.getReserves(), pair.token0()]);
-
-      const [r0, r1] = [reserves.reserve0, reserves.reserve1];
-      if (r0 === 0n || r1 === 0n) return null;
-
-      // Use BigInt arithmetic scaled to 1e18 to avoid float precision loss on large reserves.
-      const SCALE   = 10n ** 18n;
-      const priceScaled = t0.toLowerCase() === tokenA.toLowerCase()
-        ? (r1 * SCALE) / r0
-        : (r0 * SCALE) / r1;
-      const price = Number(priceScaled) / 1e18;
-
-      return { pair: pairAddr, price, source: 'sushiswap' };
-    } catch {
-      return null;
-    }
+  spotRate(venue, tokenIn) {
+    return this.adapter(venue).spotRate(venue, tokenIn);
+  }
+
+  /**
+   * Simulate borrowing `amountIn` of tokenA, swapping it to tokenB on `first`
+   * and back to tokenA on `second`.
+   *
+   * @returns {Promise<{amountIn, amountIntermediate, amountOut, profit, profitBps, priceImpactBps} | null>}
+   *   profit is in tokenA units (may be negative); priceImpactBps sums both legs.
+   */
+  async simulateRoundTrip(first, second, tokenA, tokenB, amountIn) {
+    const leg1 = await this.quoteExactIn(first, tokenA, amountIn);
+    if (!leg1) return null;
+    const leg2 = await this.quoteExactIn(second, tokenB, leg1.amountOut);
+    if (!leg2) return null;
+
+    const profit = leg2.amountOut - amountIn;
+    return {
+      amountIn,
+      amountIntermediate: leg1.amountOut,
+      amountOut:          leg2.amountOut,
+      profit,
+      profitBps:          Number((profit * 10000n) / amountIn),
+      priceImpactBps:     leg1.priceImpactBps + leg2.priceImpactBps,
+    };
   }
 
   /**
-   * Find arbitrage opportunities between Uniswap V3 and SushiSwap for a pair.
-   * Returns opportunities sorted by estimated profit descending.
+   * Current state for a previously scanned venue: from the mirror when it is
+   * kept current by logs, otherwise re-read on chain.
+   * @returns {object} A copy of `venue` with fresh pool state
+   */
+  async refreshVenue(venue) {
+    return this.adapter(venue).refresh(venue);
+  }
+
+  /**
+   * Quote a single leg against fresh on-chain state.
+   * @returns {{amountOut: bigint, priceImpactBps: number} | null}
+   */
+  async quoteLeg(venue, tokenIn, amountIn) {
+    const fresh = await this.refreshVenue(venue);
+    return this.quoteExactIn(fresh, tokenIn, amountIn);
+  }
+
+  /**
+   * Scan every enabled venue for a pair. The result is also kept in
+   * `this.venues` (by lowercase "tokenA/tokenB") for the route finder.
+   *
+   * With `maxSpreadBps`, venues whose price is implausibly far from the others
+   * are dropped (see screenVenues) and kept in `this.rejected` instead. A venue
+   * whose discovery fails is logged and left out of this scan only.
+   *
+   * @param {object} [options]
+   * @param {string[]} [options.dexes]     Venue ids to scan (keys of chainConfig.venues; default all)
+   * @param {number[]} [options.feeTiers]  Fee tiers to scan on V3-style venues
+   * @param {number}   [options.maxSpreadBps]  Absurdity threshold for venue prices
+   * @returns {Promise<object[]>}
+   */
+  async scanVenues(tokenA, tokenB, options = {}) {
+    const enabled = [...this.adapters].filter(([name]) => !options.dexes || options.dexes.includes(name));
+    const found   = await Promise.all(
+      enabled.map(async ([name, adapter]) => {
+        const venues = await adapter.discover(tokenA, tokenB, options).catch((err) => {
+          this.logger.warn(`⚠️  [scanner] ${name} discovery failed for ${tokenA}/${tokenB}: ${err.shortMessage ?? err.message}`);
+          return [];
+        });
+        return venues.map((venue) => ({ ...venue, source: name, kind: adapter.kind, dexId: adapter.dexId }));
+      })
+    );
+    const scanned = found.flat();
+
+    const key = `${tokenA.toLowerCase()}/${tokenB.toLowerCase()}`;
+    const { venues, rejected } = options.maxSpreadBps == null
+      ? { venues: scanned, rejected: [] }
+      : screenVenues(scanned, options.maxSpreadBps);
+    this.venues.set(key, venues);
+    this.rejected.set(key, rejected);
+    return venues;
+  }
+
+  /**
+   * Find arbitrage opportunities across the chain's venues for a pair by
+   * simulating the full round trip (tokenA → tokenB → tokenA) at the loan size.
+   * Returns opportunities sorted by expected profit descending.
+   *
+   * `buy` is the venue of the first leg (tokenA → tokenB) and `sell` the venue
+   * of the second leg (tokenB → tokenA).
    *
    * @param {string} tokenA
    * @param {string} tokenB
    * @param {number} minProfitBps  Minimum profit in basis points (default 10 = 0.1%)
-   * @returns {Array<{buy, sell, spread, profitBps}>}
+   * @param {bigint} amountIn      Loan size in tokenA units
+   * @param {object} [options]     Venue filters, see scanVenues
+   * @param {object[]} [options.venues]  Venues already scanned for the pair (in
+   *                                     either token order); skips the scan
+   * @returns {Array<{buy, sell, spread, profitBps, expectedOut, profit, priceImpactBps}>}
    */
-  async findArbitrageOpportunities(tokenA, tokenB, minProfitBps = 10) {
-    const [v3Pools, sushiPair] = await Promise.all([
-      this.scanUniswapV3Pools(tokenA, tokenB),
-      this.scanSushiswapPair(tokenA, tokenB),
-    ]);
+  async findArbitrageOpportunities(tokenA, tokenB, minProfitBps = 10, amountIn, options = {}) {
+    if (!amountIn || amountIn <= 0n) throw new Error('findArbitrageOpportunities: amountIn required');
 
-    const allPools = [...v3Pools];
-    if (sushiPair) allPools.push(sushiPair);
+    const allPools = options.venues ?? await this.scanVenues(tokenA, tokenB, options);
 
     const opportunities = [];
 
-    for (let i = 0; i < allPools.length; i++) {
-      for (let j = i + 1; j < allPools.length; j++) {
-        const a = allPools[i];
-        const b = allPools[j];
-        if (a.price === 0 || b.price === 0) continue;
-
-        const spread     = Math.abs(a.price - b.price) / Math.min(a.price, b.price);
-        const profitBps  = Math.round(spread * 10000);
-        if (profitBps < minProfitBps) continue;
-
-        const buy  = a.price < b.price ? a : b;
-        const sell = a.price < b.price ? b : a;
-
-        opportunities.push({ buy, sell, spread, profitBps, tokenA, tokenB });
+    for (const buy of allPools) {
+      for (const sell of allPools) {
+        if (buy === sell) continue;
+
+        const trip = await this.simulateRoundTrip(buy, sell, tokenA, tokenB, amountIn);
+        if (!trip || trip.profitBps < minProfitBps) continue;
+
+        opportunities.push({
+          buy,
+          sell,
+          spread:             trip.profitBps / 10000,
+          profitBps:          trip.profitBps,
+          amountIn,
+          amountIntermediate: trip.amountIntermediate,
+          expectedOut:        trip.amountOut,
+          profit:             trip.profit,
+          priceImpactBps:     trip.priceImpactBps,
+          tokenA,
+          tokenB,
+        });
       }
     }
 
-    return opportunities.sort((x, y) => y.profitBps - x.profitBps);
+    return opportunities.sort((x, y) => (y.profit > x.profit ? 1 : y.profit < x.profit ? -1 : 0));
   }
 }
 
-module.exports = { PoolScanner };
+module.exports = { PoolScanner, screenVenues };
@@ -0,0 +1,113 @@
+// engine/sizing.js – Profit-maximising flash-loan size per opportunity
+'use strict';
+
+// Coarse grid: cap/2^(GRID_STEPS-1) … cap, doubling each step. It brackets the
+// optimum and doubles as the profit curve reported in the logs.
+const GRID_STEPS = 7;
+// Golden-section iterations inside the best grid bracket (~0.01% of the bracket)
+const GOLDEN_ITERATIONS = 20;
+const INV_PHI = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * Size at which opportunities are detected: the smallest grid point, where
+ * price impact is small enough that the marginal spread shows.
+ */
+function probeAmount(riskLimit) {
+  return riskLimit >> BigInt(GRID_STEPS - 1);
+}
+
+/**
+ * Upper bound for a loan: Aave's available liquidity and the token's risk
+ * limit (the configured loan amount when no limit is set).
+ *
+ * @param {bigint} available  Borrowable liquidity in the Aave reserve
+ * @param {bigint} riskLimit  Largest loan allowed for the token
+ * @returns {{amount: bigint, boundBy: 'aave' | 'limit'}}
+ */
+function loanCap(available, riskLimit) {
+  return available < riskLimit
+    ? { amount: available, boundBy: 'aave' }
+    : { amount: riskLimit, boundBy: 'limit' };
+}
+
+/**
+ * Find the loan size that maximises round-trip profit net of the Aave premium
+ * for one opportunity. Gas does not depend on the size, so it does not move
+ * the optimum and is left to ProfitCalculator.
+ *
+ * The profit curve is concave while pools absorb the trade, so a doubling
+ * grid brackets the peak and a golden-section search refines it.
+ *
+ * @param {PoolScanner} scanner
+ * @param {object} opportunity   From PoolScanner.findArbitrageOpportunities
+ * @param {object} options
+ * @param {bigint} options.maxAmount   Loan cap (see loanCap)
+ * @param {bigint} options.premiumBps  Aave flash-loan premium
+ * @returns {Promise<{amountIn, trip, netProfit, curve: Array<{amountIn, netProfit}>} | null>}
+ *   netProfit is profit after premium in tokenA units (null on the curve where
+ *   the pools cannot fill the size); null when no size is profitable.
+ */
+async function optimizeLoanSize(scanner, opportunity, { maxAmount, premiumBps }) {
+  const { buy, sell, tokenA, tokenB } = opportunity;
+  const seen = new Map(); // amountIn → { amountIn, trip, netProfit }
+
+  const evaluate = async (amountIn) => {
+    if (amountIn <= 0n) return { amountIn, trip: null, netProfit: null };
+    if (!seen.has(amountIn)) {
+      const trip = await scanner.simulateRoundTrip(buy, sell, tokenA, tokenB, amountIn);
+      seen.set(amountIn, {
+        amountIn,
+        trip,
+        netProfit: trip ? trip.profit - (amountIn * premiumBps) / 10000n : null,
+      });
+    }
+    return seen.get(amountIn);
+  };
+  // Unfillable sizes rank below every fillable one
+  const better = (a, b) => a.netProfit !== null && (b.netProfit === null || a.netProfit > b.netProfit);
+
+  const grid = [];
+  for (let step = GRID_STEPS - 1; step >= 0; step--) grid.push(await evaluate(maxAmount >> BigInt(step)));
+
+  let bestIdx = 0;
+  grid.forEach((point, idx) => { if (better(point, grid[bestIdx])) bestIdx = idx; });
+
+  // Golden-section search between the best grid point's neighbours (down to
+  // zero when the smallest grid size is already the best)
+  let lo = bestIdx === 0 ? 0 : Number(grid[bestIdx - 1].amountIn);
+  let hi = Number(grid[Math.min(bestIdx + 1, grid.length - 1)].amountIn);
+  let best = grid[bestIdx];
+  const probe = async (x) => {
+    const point = await evaluate(BigInt(Math.floor(x)));
+    if (better(point, best)) best = point;
+    return point;
+  };
+  // The interior point that survives a step sits where the next step needs
+  // one, so each iteration evaluates a single new size
+  let x1 = hi - (hi - lo) * INV_PHI;
+  let x2 = lo + (hi - lo) * INV_PHI;
+  let [p1, p2] = hi - lo > 1 ? await Promise.all([probe(x1), probe(x2)]) : [];
+  for (let i = 0; i < GOLDEN_ITERATIONS && hi - lo > 1; i++) {
+    if (better(p1, p2)) {
+      hi = x2;
+      [x2, p2] = [x1, p1];
+      x1 = hi - (hi - lo) * INV_PHI;
+      p1 = await probe(x1);
+    } else {
+      lo = x1;
+      [x1, p1] = [x2, p2];
+      x2 = lo + (hi - lo) * INV_PHI;
+      p2 = await probe(x2);
+    }
+  }
+
+  if (best.netProfit === null || best.netProfit <= 0n) return null;
+  return {
+    amountIn:  best.amountIn,
+    trip:      best.trip,
+    netProfit: best.netProfit,
+    curve:     grid.map(({ amountIn, netProfit }) => ({ amountIn, netProfit })),
+  };
+}
+
+module.exports = { optimizeLoanSize, loanCap, probeAmount };
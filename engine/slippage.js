@@ -0,0 +1,65 @@
+// engine/slippage.js – amountOutMin bounds from fresh leg quotes + slippage tolerance
+'use strict';
+
+// Used when a chain entry has no slippageBps table
+const DEFAULT_SLIPPAGE_BPS = { stable: 10, volatile: 50 };
+
+/**
+ * Classify a pair as 'stable' (both sides are the chain's USD stables) or 'volatile'.
+ */
+function pairClass(chainConfig, tokenA, tokenB) {
+  const stables = [chainConfig.usdc, chainConfig.usdt, chainConfig.dai]
+    .filter(Boolean)
+    .map((a) => a.toLowerCase());
+  return stables.includes(tokenA.toLowerCase()) && stables.includes(tokenB.toLowerCase())
+    ? 'stable'
+    : 'volatile';
+}
+
+/**
+ * Slippage tolerance in basis points for a pair class on a chain.
+ * @param {object} [overrides]  class → bps from SLIPPAGE_BPS_STABLE / SLIPPAGE_BPS_VOLATILE
+ *                              (or their _<CHAIN> variants); unset classes use the chain defaults
+ */
+function slippageBps(chainConfig, cls, overrides = {}) {
+  const override = overrides[cls];
+  if (override != null && override !== '') return parseInt(override, 10);
+  return (chainConfig.slippageBps ?? DEFAULT_SLIPPAGE_BPS)[cls];
+}
+
+function applySlippage(amount, bps) {
+  return (amount * BigInt(10000 - bps)) / 10000n;
+}
+
+/**
+ * Derive amountOutMin1/amountOutMin2 for an opportunity from fresh quotes of
+ * each leg. Leg 2 is quoted with the leg 1 quote as its input.
+ *
+ * @param {PoolScanner} scanner
+ * @param {object}      chainConfig
+ * @param {object}      opportunity  From PoolScanner.findArbitrageOpportunities
+ * @param {bigint}      loanAmount
+ * @param {object}      [overrides]  Slippage overrides per pair class (see slippageBps)
+ * @returns {Promise<{amountOutMin1, amountOutMin2, quote1, quote2, slippageBps, pairClass}>}
+ */
+async function computeMinOuts(scanner, chainConfig, opportunity, loanAmount, overrides) {
+  const { tokenA, tokenB } = opportunity;
+  const cls = pairClass(chainConfig, tokenA, tokenB);
+  const bps = slippageBps(chainConfig, cls, overrides);
+
+  const leg1 = await scanner.quoteLeg(opportunity.buy, tokenA, loanAmount);
+  if (!leg1) throw new Error(`Fresh quote failed for leg 1 on ${opportunity.buy.source}`);
+  const leg2 = await scanner.quoteLeg(opportunity.sell, tokenB, leg1.amountOut);
+  if (!leg2) throw new Error(`Fresh quote failed for leg 2 on ${opportunity.sell.source}`);
+
+  return {
+    amountOutMin1: applySlippage(leg1.amountOut, bps),
+    amountOutMin2: applySlippage(leg2.amountOut, bps),
+    quote1:        leg1.amountOut,
+    quote2:        leg2.amountOut,
+    slippageBps:   bps,
+    pairClass:     cls,
+  };
+}
+
+module.exports = { pairClass, slippageBps, computeMinOuts };
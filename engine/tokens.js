@@ -0,0 +1,150 @@
+// engine/tokens.js – On-chain token metadata (decimals, symbol, name) with a disk cache
+'use strict';
+
+const fs         = require('fs');
+const path       = require('path');
+const { ethers } = require('ethers');
+
+const ERC20_METADATA_ABI = [
+  'function decimals() external view returns (uint8)',
+  'function symbol() external view returns (string)',
+  'function name() external view returns (string)',
+];
+
+// Some early tokens (MKR, SAI, …) return bytes32 instead of string
+const ERC20_BYTES32_METADATA_ABI = [
+  'function symbol() external view returns (bytes32)',
+  'function name() external view returns (bytes32)',
+];
+
+const CACHE_DIR = path.join(__dirname, '..', '.cache');
+// No real token uses more; anything above is a broken or hostile contract
+const MAX_DECIMALS = 36;
+
+/**
+ * Read a string-or-bytes32 metadata field, or null when neither form decodes.
+ */
+async function readText(token, legacy, field) {
+  try {
+    return await token[field]();
+  } catch {
+    try {
+      return ethers.decodeBytes32String(await legacy[field]());
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * TokenRegistry resolves ERC-20 metadata on chain and caches it in
+ * `.cache/tokens-<chainId>.json` so restarts do not re-query known tokens.
+ * Tokens listed in the chain's `tokenFlags` (fee-on-transfer, rebasing) are
+ * marked so the engine can refuse to trade them: its swap and repayment math
+ * assumes transfers move exactly the quoted amount.
+ */
+class TokenRegistry {
+  /**
+   * @param {ethers.Provider} provider
+   * @param {object} chainConfig  – entry from engine/config.js CHAINS
+   * @param {object} [options]
+   * @param {string} [options.cacheDir]  Directory for the cache file (default .cache/)
+   */
+  constructor(provider, chainConfig, options = {}) {
+    this.provider    = provider;
+    this.chainConfig = chainConfig;
+    this.cachePath   = path.join(options.cacheDir ?? CACHE_DIR, `tokens-${chainConfig.chainId}.json`);
+    // address (lowercase) → { address, decimals, symbol, name }
+    this.tokens      = this.readCache();
+    // address (lowercase) → in-flight lookup, so concurrent scans share one
+    this.pending     = new Map();
+    this.flags       = Object.fromEntries(
+      Object.entries(chainConfig.tokenFlags ?? {}).map(([addr, f]) => [addr.toLowerCase(), f])
+    );
+  }
+
+  readCache() {
+    try {
+      return JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  writeCache() {
+    fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+    fs.writeFileSync(this.cachePath, JSON.stringify(this.tokens, null, 2));
+  }
+
+  /**
+   * Fetch a token's metadata from chain.
+   * @throws {Error} when decimals or symbol cannot be read
+   */
+  async fetch(address) {
+    const token  = new ethers.Contract(address, ERC20_METADATA_ABI, this.provider);
+    const legacy = new ethers.Contract(address, ERC20_BYTES32_METADATA_ABI, this.provider);
+
+    let decimals;
+    try {
+      decimals = Number(await token.decimals());
+    } catch (err) {
+      throw new Error(`decimals() failed for ${address}: ${err.shortMessage ?? err.message}`);
+    }
+    if (decimals > MAX_DECIMALS) {
+      throw new Error(`decimals() for ${address} returned ${decimals}`);
+    }
+
+    const [symbol, name] = await Promise.all([
+      readText(token, legacy, 'symbol'),
+      readText(token, legacy, 'name'),
+    ]);
+    if (!symbol) throw new Error(`symbol() failed for ${address}`);
+
+    return { address: ethers.getAddress(address), decimals, symbol, name: name ?? symbol };
+  }
+
+  /**
+   * Metadata for a token, from memory, the disk cache or the chain.
+   *
+   * @returns {Promise<{address, decimals, symbol, name, flags: string[]}>}
+   * @throws {Error} when the metadata cannot be resolved
+   */
+  async resolve(address) {
+    const key = address.toLowerCase();
+    if (!this.tokens[key]) {
+      if (!this.pending.has(key)) {
+        this.pending.set(key, this.fetch(address)
+          .then((meta) => {
+            this.tokens[key] = meta;
+            this.writeCache();
+          })
+          .finally(() => this.pending.delete(key)));
+      }
+      await this.pending.get(key);
+    }
+    return { ...this.tokens[key], flags: this.flags[key] ?? [] };
+  }
+
+  async decimals(address) {
+    return (await this.resolve(address)).decimals;
+  }
+
+  /**
+   * Resolve a token the engine is about to borrow or swap.
+   * @throws {Error} when the metadata cannot be resolved or the token is flagged
+   */
+  async resolveTradable(address) {
+    let meta;
+    try {
+      meta = await this.resolve(address);
+    } catch (err) {
+      throw new Error(`Unresolved token ${address}: ${err.message}`);
+    }
+    if (meta.flags.length > 0) {
+      throw new Error(`${meta.symbol} (${meta.address}) is flagged ${meta.flags.join(', ')}`);
+    }
+    return meta;
+  }
+}
+
+module.exports = { TokenRegistry };
@@ -0,0 +1,152 @@
+// engine/venues/balancer.js – Balancer V2 vault pools
+'use strict';
+
+const { ethers }         = require('ethers');
+const { priceImpactBps } = require('../amm');
+const { Price }          = require('../price');
+
+const BALANCER_VAULT_ABI = [
+  'function getPool(bytes32 poolId) external view returns (address, uint8)',
+  'function getPoolTokens(bytes32 poolId) external view returns (address[] tokens, uint256[] balances, uint256 lastChangeBlock)',
+  // Not view on chain (it simulates the swaps and reverts internally); declared
+  // view so ethers sends it as eth_call through the Multicall runner
+  'function queryBatchSwap(uint8 kind, tuple(bytes32 poolId, uint256 assetInIndex, uint256 assetOutIndex, uint256 amount, bytes userData)[] swaps, address[] assets, tuple(address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds) external view returns (int256[] assetDeltas)',
+];
+
+const BALANCER_POOL_ABI = [
+  'function getSwapFeePercentage() external view returns (uint256)',
+];
+
+const GIVEN_IN = 0;
+// Swap fees are 1e18-scaled; the engine uses V3-style hundredths of a bip (1e6)
+const BALANCER_FEE_TO_PIPS = 10n ** 12n;
+
+/**
+ * BalancerAdapter prices the vault pools listed in the chain config (Balancer
+ * has no pair → pool lookup) and quotes them on chain with queryBatchSwap.
+ *
+ * Pool state is not mirrored: Balancer swaps are logged by the vault rather
+ * than the pool, so venues are re-probed whenever their pair is scanned.
+ */
+class BalancerAdapter {
+  /**
+   * @param {string} name    Venue id (the venue's `source`)
+   * @param {object} config  – entry from CHAINS[chain].venues: vault, pools (pool ids)
+   * @param {object} context – { multicall, tokens }
+   */
+  constructor(name, config, context) {
+    this.name     = name;
+    this.kind     = 'balancer';
+    this.provider = context.multicall;
+    this.tokens   = context.tokens;
+    this.poolIds  = config.pools ?? [];
+    this.vault    = new ethers.Contract(config.vault, BALANCER_VAULT_ABI, this.provider);
+    this.poolInfo = new Map(); // poolId → Promise<{ poolId, pool, assets, fee }>
+  }
+
+  /**
+   * Address, tokens and swap fee of a configured pool (cached: a pool's token
+   * list never changes).
+   */
+  poolMeta(poolId) {
+    if (!this.poolInfo.has(poolId)) {
+      const meta = (async () => {
+        const [[pool], { tokens }] = await Promise.all([
+          this.vault.getPool(poolId),
+          this.vault.getPoolTokens(poolId),
+        ]);
+        const fee = await new ethers.Contract(pool, BALANCER_POOL_ABI, this.provider).getSwapFeePercentage();
+        return { poolId, pool, assets: [...tokens], fee: Number(fee / BALANCER_FEE_TO_PIPS) };
+      })();
+      // Don't cache failures
+      meta.catch(() => this.poolInfo.delete(poolId));
+      this.poolInfo.set(poolId, meta);
+    }
+    return this.poolInfo.get(poolId);
+  }
+
+  /**
+   * Quote `amountIn` of tokenIn → tokenOut through a pool with queryBatchSwap.
+   */
+  async querySwap(venue, tokenIn, tokenOut, amountIn) {
+    const index = (token) => venue.assets.findIndex((a) => a.toLowerCase() === token.toLowerCase());
+    const deltas = await this.vault.queryBatchSwap(
+      GIVEN_IN,
+      [{ poolId: venue.poolId, assetInIndex: index(tokenIn), assetOutIndex: index(tokenOut), amount: amountIn, userData: '0x' }],
+      venue.assets,
+      { sender: ethers.ZeroAddress, fromInternalBalance: false, recipient: ethers.ZeroAddress, toInternalBalance: false }
+    );
+    // Vault deltas are positive for tokens paid in, negative for tokens paid out
+    return -deltas[index(tokenOut)];
+  }
+
+  /**
+   * Price the configured pools holding both tokens with a one-unit probe in
+   * each direction. The probes double as the no-impact reference for quotes.
+   *
+   * @returns {Promise<Array<{pool, poolId, fee, price, assets, probes}>>}
+   */
+  async discover(tokenA, tokenB) {
+    const [metaA, metaB] = await Promise.all([this.tokens.resolve(tokenA), this.tokens.resolve(tokenB)]);
+    const unitA   = 10n ** BigInt(metaA.decimals);
+    const unitB   = 10n ** BigInt(metaB.decimals);
+    const holds   = (assets, token) => assets.some((a) => a.toLowerCase() === token.toLowerCase());
+    const results = [];
+
+    await Promise.all(
+      this.poolIds.map(async (poolId) => {
+        try {
+          const meta = await this.poolMeta(poolId);
+          if (!holds(meta.assets, tokenA) || !holds(meta.assets, tokenB)) return;
+
+          const venue = { ...meta, tokenA, tokenB };
+          const [outB, outA] = await Promise.all([
+            this.querySwap(venue, tokenA, tokenB, unitA),
+            this.querySwap(venue, tokenB, tokenA, unitB),
+          ]);
+          if (outB <= 0n || outA <= 0n) return;
+
+          results.push({
+            ...venue,
+            price: Price.fromAmounts(metaA, metaB, unitA, outB),
+            probes: {
+              [tokenA.toLowerCase()]: { amountIn: unitA, amountOut: outB },
+              [tokenB.toLowerCase()]: { amountIn: unitB, amountOut: outA },
+            },
+          });
+        } catch (err) {
+          // pool id unknown to the vault or query reverted – skip
+          if (err.code !== 'CALL_EXCEPTION') throw err;
+        }
+      })
+    );
+
+    return results;
+  }
+
+  async quote(venue, tokenIn, amountIn) {
+    const tokenOut = venue.tokenA.toLowerCase() === tokenIn.toLowerCase() ? venue.tokenB : venue.tokenA;
+    let amountOut;
+    try {
+      amountOut = await this.querySwap(venue, tokenIn, tokenOut, amountIn);
+    } catch {
+      return null; // the query reverts when the pool cannot fill the trade
+    }
+    if (amountOut <= 0n) return null;
+    const probe   = venue.probes[tokenIn.toLowerCase()];
+    const spotOut = (amountIn * probe.amountOut) / probe.amountIn;
+    return { amountOut, priceImpactBps: priceImpactBps(spotOut, amountOut) };
+  }
+
+  // Balancer quotes are always taken live through queryBatchSwap
+  async refresh(venue) {
+    return venue;
+  }
+
+  spotRate(venue, tokenIn) {
+    const probe = venue.probes[tokenIn.toLowerCase()];
+    return Number(probe.amountOut) / Number(probe.amountIn);
+  }
+}
+
+module.exports = { BalancerAdapter };
@@ -0,0 +1,189 @@
+// engine/venues/curve.js – Curve StableSwap pool discovery and pricing
+'use strict';
+
+const { ethers }         = require('ethers');
+const { priceImpactBps } = require('../amm');
+const { Price }          = require('../price');
+
+const CURVE_META_REGISTRY_ABI = [
+  'function find_pools_for_coins(address from, address to) external view returns (address[])',
+  'function get_coin_indices(address pool, address from, address to) external view returns (int128, int128, bool)',
+];
+
+const CURVE_MAIN_REGISTRY_ABI = [
+  'function find_pool_for_coins(address from, address to, uint256 i) external view returns (address)',
+  'function get_coin_indices(address pool, address from, address to) external view returns (int128, int128, bool)',
+];
+
+const CURVE_POOL_ABI = [
+  'function get_dy(int128 i, int128 j, uint256 dx) external view returns (uint256)',
+  'function fee() external view returns (uint256)',
+];
+
+// Upper bound on pools walked through find_pool_for_coins on the main registry
+const MAX_REGISTRY_POOLS = 8;
+// Curve fees are 1e10-scaled; the engine uses V3-style hundredths of a bip (1e6)
+const CURVE_FEE_TO_PIPS = 10_000n;
+
+/**
+ * CurveAdapter finds a pair's Curve pools through the chain's registry and
+ * quotes them on chain with get_dy, so there is no local state to refresh.
+ */
+class CurveAdapter {
+  /**
+   * @param {string} name    Venue id (the venue's `source`)
+   * @param {object} config  – entry from CHAINS[chain].venues: registry {address, type}
+   * @param {object} context – { multicall, tokens }
+   */
+  constructor(name, config, context) {
+    this.name        = name;
+    this.kind        = 'curve';
+    this.provider    = context.multicall;
+    this.tokens      = context.tokens;
+    const registry   = config.registry;
+    this.registry    = registry
+      ? new ethers.Contract(
+        registry.address,
+        registry.type === 'meta' ? CURVE_META_REGISTRY_ABI : CURVE_MAIN_REGISTRY_ABI,
+        this.provider
+      )
+      : null;
+    this.registryType = registry?.type;
+    this.poolCache    = new Map(); // "tokenA:tokenB" → [{ pool, coinIndex, fee }]
+  }
+
+  /**
+   * Find Curve pools trading tokenA/tokenB directly (not via underlying coins)
+   * and resolve each token's coin index. Results are cached per pair.
+   */
+  async discoverPools(tokenA, tokenB) {
+    if (!this.registry) return [];
+    const key = `${tokenA.toLowerCase()}:${tokenB.toLowerCase()}`;
+    if (this.poolCache.has(key)) return this.poolCache.get(key);
+
+    let pools;
+    if (this.registryType === 'meta') {
+      pools = [...await this.registry.find_pools_for_coins(tokenA, tokenB)];
+    } else {
+      pools = [];
+      for (let i = 0; i < MAX_REGISTRY_POOLS; i++) {
+        const pool = await this.registry.find_pool_for_coins(tokenA, tokenB, i);
+        if (pool === ethers.ZeroAddress) break;
+        pools.push(pool);
+      }
+    }
+
+    const resolved = [];
+    for (const pool of pools) {
+      try {
+        const [i, j, isUnderlying] = await this.registry.get_coin_indices(pool, tokenA, tokenB);
+        // The contract calls exchange(), which only swaps the pool's own coins
+        if (isUnderlying) continue;
+        const fee = await new ethers.Contract(pool, CURVE_POOL_ABI, this.provider).fee();
+        resolved.push({
+          pool,
+          coinIndex: { [tokenA.toLowerCase()]: i, [tokenB.toLowerCase()]: j },
+          fee:       Number(fee / CURVE_FEE_TO_PIPS),
+        });
+      } catch (err) {
+        // A revert means the pool is not indexable for this pair – skip it
+        if (err.code !== 'CALL_EXCEPTION') throw err;
+      }
+    }
+
+    this.poolCache.set(key, resolved);
+    return resolved;
+  }
+
+  /**
+   * Pools already discovered for a pair (no registry calls).
+   * @returns {string[]}
+   */
+  knownPools(tokenA, tokenB) {
+    const key = `${tokenA.toLowerCase()}:${tokenB.toLowerCase()}`;
+    return (this.poolCache.get(key) ?? []).map((p) => p.pool);
+  }
+
+  /**
+   * Quote `amountIn` of tokenIn → tokenOut through a Curve pool with get_dy.
+   */
+  async getDy(venue, tokenIn, tokenOut, amountIn) {
+    const pool = new ethers.Contract(venue.pool, CURVE_POOL_ABI, this.provider);
+    return pool.get_dy(
+      venue.coinIndex[tokenIn.toLowerCase()],
+      venue.coinIndex[tokenOut.toLowerCase()],
+      amountIn
+    );
+  }
+
+  /**
+   * Scan Curve pools for a pair and price them with a one-unit probe in each
+   * direction. The probes double as the no-impact reference for quotes.
+   *
+   * @returns {Promise<Array<{pool, fee, price, coinIndex, probes}>>}
+   */
+  async discover(tokenA, tokenB) {
+    const [pools, metaA, metaB] = await Promise.all([
+      this.discoverPools(tokenA, tokenB),
+      this.tokens.resolve(tokenA),
+      this.tokens.resolve(tokenB),
+    ]);
+    const unitA   = 10n ** BigInt(metaA.decimals);
+    const unitB   = 10n ** BigInt(metaB.decimals);
+    const results = [];
+
+    await Promise.all(
+      pools.map(async (p) => {
+        try {
+          const venue = { ...p, tokenA, tokenB };
+          const [outB, outA] = await Promise.all([
+            this.getDy(venue, tokenA, tokenB, unitA),
+            this.getDy(venue, tokenB, tokenA, unitB),
+          ]);
+          if (outB === 0n || outA === 0n) return;
+
+          results.push({
+            ...venue,
+            // tokenB per tokenA, same convention as the V3 and V2 venues
+            price: Price.fromAmounts(metaA, metaB, unitA, outB),
+            probes: {
+              [tokenA.toLowerCase()]: { amountIn: unitA, amountOut: outB },
+              [tokenB.toLowerCase()]: { amountIn: unitB, amountOut: outA },
+            },
+          });
+        } catch (err) {
+          // get_dy reverted (e.g. crypto pool with uint256 indices) – skip
+          if (err.code !== 'CALL_EXCEPTION') throw err;
+        }
+      })
+    );
+
+    return results;
+  }
+
+  async quote(venue, tokenIn, amountIn) {
+    const tokenOut = venue.tokenA.toLowerCase() === tokenIn.toLowerCase() ? venue.tokenB : venue.tokenA;
+    let amountOut;
+    try {
+      amountOut = await this.getDy(venue, tokenIn, tokenOut, amountIn);
+    } catch {
+      return null; // get_dy reverts when the pool cannot fill the trade
+    }
+    if (amountOut === 0n) return null;
+    const probe   = venue.probes[tokenIn.toLowerCase()];
+    const spotOut = (amountIn * probe.amountOut) / probe.amountIn;
+    return { amountOut, priceImpactBps: priceImpactBps(spotOut, amountOut) };
+  }
+
+  // Curve quotes are always taken live through get_dy
+  async refresh(venue) {
+    return venue;
+  }
+
+  spotRate(venue, tokenIn) {
+    const probe = venue.probes[tokenIn.toLowerCase()];
+    return Number(probe.amountOut) / Number(probe.amountIn);
+  }
+}
+
+module.exports = { CurveAdapter };
@@ -0,0 +1,71 @@
+// engine/venues/index.js – Venue adapter registry
+'use strict';
+
+const { V3Adapter }       = require('./v3');
+const { V2Adapter }       = require('./v2');
+const { CurveAdapter }    = require('./curve');
+const { BalancerAdapter } = require('./balancer');
+
+/*
+ * Every venue adapter implements the same interface, so the scanner treats a
+ * venue the same whichever DEX it is on:
+ *
+ *   discover(tokenA, tokenB, options)  → Promise<venue[]>, each with `price` (tokenB per tokenA)
+ *   quote(venue, tokenIn, amountIn)    → Promise<{amountOut, priceImpactBps} | null>
+ *   refresh(venue)                     → Promise<venue> with current state
+ *   spotRate(venue, tokenIn)           → marginal rate net of fee, raw units (route graph)
+ *
+ * Venues are stamped with `source` (the venue id in CHAINS[chain].venues),
+ * `kind` and `dexId`, the ArbParams encoding the deployed contract swaps the
+ * leg with — null when the contract has no route to that venue.
+ */
+const ADAPTERS = {
+  v3:       V3Adapter,
+  v2:       V2Adapter,
+  curve:    CurveAdapter,
+  balancer: BalancerAdapter,
+};
+
+// DEX identifiers understood by FlashLoanArbitrageV3's ArbParams.dex1/dex2
+const DEX_IDS = {
+  v3:    1, // through chainConfig.uniswapV3Router
+  v2:    2, // through chainConfig.sushiswapRouter
+  curve: 3,
+};
+
+/**
+ * ArbParams dex id for a venue: the contract swaps V3 and V2 legs through the
+ * single router of each kind it was deployed with, so other forks of the same
+ * kind are not executable.
+ * @returns {number|null}
+ */
+function contractDexId(kind, router, chainConfig) {
+  const same = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+  switch (kind) {
+    case 'v3':    return same(router, chainConfig.uniswapV3Router) ? DEX_IDS.v3 : null;
+    case 'v2':    return same(router, chainConfig.sushiswapRouter) ? DEX_IDS.v2 : null;
+    case 'curve': return DEX_IDS.curve;
+    default:      return null;
+  }
+}
+
+/**
+ * Instantiate the adapters configured for a chain.
+ *
+ * @param {object} chainConfig – entry from engine/config.js CHAINS
+ * @param {object} context     – { multicall, pools, mirror, tokens } shared by the adapters
+ * @returns {Map<string, object>} venue id → adapter
+ */
+function createAdapters(chainConfig, context) {
+  const adapters = new Map();
+  for (const [name, config] of Object.entries(chainConfig.venues ?? {})) {
+    const Adapter = ADAPTERS[config.kind];
+    if (!Adapter) throw new Error(`Unknown venue kind "${config.kind}" for ${name}`);
+    const adapter = new Adapter(name, config, context);
+    adapter.dexId = contractDexId(config.kind, config.router, chainConfig);
+    adapters.set(name, adapter);
+  }
+  return adapters;
+}
+
+module.exports = { createAdapters, contractDexId, DEX_IDS };
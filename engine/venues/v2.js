@@ -0,0 +1,163 @@
+// engine/venues/v2.js – Uniswap V2-style constant-product pairs (Uniswap V2, SushiSwap, PancakeSwap V2, QuickSwap, Camelot)
+'use strict';
+
+const { ethers } = require('ethers');
+const { getAmountOutV2, v2SpotAmountOut, priceImpactBps } = require('../amm');
+const { Price } = require('../price');
+const { inputFeeBps } = require('../fees');
+
+const V2_PAIR_ABI = [
+  'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function token0() external view returns (address)',
+];
+
+// Camelot pairs return each direction's fee with the reserves and may be
+// Solidly-style stable pairs, which constant-product math cannot quote
+const CAMELOT_PAIR_ABI = [
+  'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint16 token0FeePercent, uint16 token1FeePercent)',
+  'function token0() external view returns (address)',
+  'function stableSwap() external view returns (bool)',
+];
+// Camelot fees are expressed in thousandths of a bip (FEE_DENOMINATOR = 100000)
+const CAMELOT_FEE_PER_BPS = 10;
+
+/**
+ * Price of `base` in `quote` from a pair's reserves.
+ */
+function v2Price(base, quote, token0, reserve0, reserve1) {
+  return token0.toLowerCase() === base.address.toLowerCase()
+    ? Price.fromReserves(base, quote, reserve0, reserve1)
+    : Price.fromReserves(base, quote, reserve1, reserve0);
+}
+
+/**
+ * V2Adapter discovers a V2-style factory's pair for a token pair and quotes it
+ * off chain with the constant-product formula. Reserves come from the
+ * PoolMirror when it is current (Sync logs) and from chain otherwise.
+ *
+ * Forks differ only in factory and fee: a flat `feeBps` from the chain config
+ * (30 for Uniswap V2 / SushiSwap / QuickSwap, 25 for PancakeSwap V2), or with
+ * `dynamicFees` (Camelot) the per-direction fees each pair reports. Such
+ * venues carry `feeBps` for token0 → token1 and `feeBps1` for the reverse.
+ */
+class V2Adapter {
+  /**
+   * @param {string} name    Venue id (the venue's `source`)
+   * @param {object} config  – entry from CHAINS[chain].venues: factory, router, feeBps or dynamicFees
+   * @param {object} context – { multicall, pools, mirror, tokens }
+   */
+  constructor(name, config, context) {
+    this.name        = name;
+    this.kind        = 'v2';
+    this.feeBps      = config.feeBps ?? 30;
+    this.dynamicFees = Boolean(config.dynamicFees);
+    this.reader      = context.multicall;
+    this.pools       = context.pools;
+    this.mirror      = context.mirror;
+    this.tokens      = context.tokens;
+    // pair address (lowercase) → { feeBps, feeBps1 } for dynamic-fee pairs
+    this.fees        = new Map();
+    this.pools.addFactory(name, 'v2', config.factory);
+  }
+
+  /**
+   * Find the pair for tokenA/tokenB and price it.
+   * @returns {Promise<object[]>} Zero or one venue with price (tokenB per tokenA), token0, reserves and fees
+   */
+  async discover(tokenA, tokenB) {
+    const pairAddr = await this.pools.pool(this.name, tokenA, tokenB);
+    if (!pairAddr) return [];
+
+    const [[base, quote], { token0: t0, reserve0: r0, reserve1: r1 }] = await Promise.all([
+      Promise.all([this.tokens.resolve(tokenA), this.tokens.resolve(tokenB)]),
+      this.reserves(pairAddr),
+    ]);
+    if (r0 === 0n || r1 === 0n) return [];
+
+    const fees = this.dynamicFees ? this.fees.get(pairAddr.toLowerCase()) : { feeBps: this.feeBps };
+    if (!fees) return []; // stable Camelot pair
+    return [{
+      pair: pairAddr, price: v2Price(base, quote, t0, r0, r1),
+      token0: t0, reserve0: r0, reserve1: r1, ...fees,
+    }];
+  }
+
+  /**
+   * A pair's current reserves: from the mirror when it holds them, except for
+   * dynamic-fee pairs, which are always read so their fees are current too.
+   * @returns {Promise<{token0, reserve0, reserve1}>}
+   */
+  async reserves(pairAddr, token0) {
+    const mirrored = this.dynamicFees ? null : this.mirror.get(pairAddr);
+    return mirrored ?? this.read(pairAddr, token0);
+  }
+
+  /**
+   * Read a pair's reserves from chain and seed them into the mirror.
+   * @returns {Promise<{token0, reserve0, reserve1}>}
+   */
+  async read(pairAddr, token0) {
+    if (this.dynamicFees) return this.readDynamic(pairAddr, token0);
+    const pair = new ethers.Contract(pairAddr, V2_PAIR_ABI, this.reader);
+    const [reserves, t0, blockNumber] = await Promise.all([
+      pair.getReserves(), token0 ?? pair.token0(), this.reader.blockNumber(),
+    ]);
+    const snapshot = { token0: t0, reserve0: reserves.reserve0, reserve1: reserves.reserve1 };
+    this.mirror.seed(pairAddr, snapshot, blockNumber);
+    return snapshot;
+  }
+
+  /**
+   * Camelot read: reserves plus the pair's current fees. Fees change without
+   * a Sync, so a mirrored snapshot could carry stale ones; they come back from
+   * the same getReserves call, so these pairs are read on every quote.
+   */
+  async readDynamic(pairAddr, token0) {
+    const pair = new ethers.Contract(pairAddr, CAMELOT_PAIR_ABI, this.reader);
+    const [reserves, t0, stable, blockNumber] = await Promise.all([
+      pair.getReserves(), token0 ?? pair.token0(), pair.stableSwap(), this.reader.blockNumber(),
+    ]);
+    if (stable) {
+      this.fees.delete(pairAddr.toLowerCase());
+    } else {
+      // Round up: quoting a slightly higher fee never overstates the output
+      const toBps = (fee) => Math.ceil(Number(fee) / CAMELOT_FEE_PER_BPS);
+      this.fees.set(pairAddr.toLowerCase(), {
+        feeBps:  toBps(reserves.token0FeePercent),
+        feeBps1: toBps(reserves.token1FeePercent),
+      });
+    }
+    const snapshot = { token0: t0, reserve0: reserves.reserve0, reserve1: reserves.reserve1 };
+    this.mirror.seed(pairAddr, snapshot, blockNumber);
+    return snapshot;
+  }
+
+  async quote(venue, tokenIn, amountIn) {
+    const zeroForOne = venue.token0.toLowerCase() === tokenIn.toLowerCase();
+    const [reserveIn, reserveOut] = zeroForOne
+      ? [venue.reserve0, venue.reserve1]
+      : [venue.reserve1, venue.reserve0];
+    const feeBps    = inputFeeBps(venue, tokenIn);
+    const amountOut = getAmountOutV2(amountIn, reserveIn, reserveOut, feeBps);
+    if (amountOut === 0n) return null;
+    const spotOut = v2SpotAmountOut(amountIn, reserveIn, reserveOut, feeBps);
+    return { amountOut, priceImpactBps: priceImpactBps(spotOut, amountOut) };
+  }
+
+  async refresh(venue) {
+    const { reserve0, reserve1 } = await this.reserves(venue.pair, venue.token0);
+    const fees = this.dynamicFees ? this.fees.get(venue.pair.toLowerCase()) : null;
+    const { base, quote } = venue.price;
+    return { ...venue, ...fees, price: v2Price(base, quote, venue.token0, reserve0, reserve1), reserve0, reserve1 };
+  }
+
+  spotRate(venue, tokenIn) {
+    const zeroForOne = venue.token0.toLowerCase() === tokenIn.toLowerCase();
+    const [reserveIn, reserveOut] = zeroForOne
+      ? [venue.reserve0, venue.reserve1]
+      : [venue.reserve1, venue.reserve0];
+    return (Number(reserveOut) / Number(reserveIn)) * (1 - inputFeeBps(venue, tokenIn) / 1e4);
+  }
+}
+
+module.exports = { V2Adapter };
@@ -0,0 +1,178 @@
+// engine/venues/v3.js – Uniswap V3-style concentrated-liquidity pools (Uniswap V3, PancakeSwap V3)
+'use strict';
+
+const { ethers } = require('ethers');
+const { simulateV3Swap, v3SpotAmountOut, priceImpactBps, Q96 } = require('../amm');
+const { Price } = require('../price');
+
+const V3_POOL_ABI = [
+  'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function liquidity() external view returns (uint128)',
+  'function token0() external view returns (address)',
+  'function token1() external view returns (address)',
+  'function tickSpacing() external view returns (int24)',
+  'function tickBitmap(int16 wordPosition) external view returns (uint256)',
+  'function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)',
+];
+
+// Fee tiers scanned when neither the chain config nor the watchlist names them
+const DEFAULT_FEE_TIERS = [500, 3000, 10000];
+// Tick bitmap words loaded on each side of the current word for quoting.
+// One word covers 256 * tickSpacing ticks (≈29% of price range at spacing 10).
+const TICK_WORD_RADIUS = 1;
+
+/**
+ * Bitmap word index holding `tick` (ticks may be negative, so round toward -∞).
+ */
+function tickWordPosition(tick, tickSpacing) {
+  return Math.floor(Math.floor(tick / tickSpacing) / 256);
+}
+
+/**
+ * Price of `base` in `quote` from a pool's sqrtPriceX96.
+ */
+function v3Price(base, quote, token0, state) {
+  const [t0, t1] = token0.toLowerCase() === base.address.toLowerCase() ? [base, quote] : [quote, base];
+  return Price.fromSqrtPriceX96(t0, t1, state.sqrtPriceX96).orient(base);
+}
+
+/**
+ * V3Adapter discovers a V3-style factory's pools for a pair across fee tiers
+ * and quotes them off chain with tick-crossing math. Pool state comes from the
+ * PoolMirror when it is current and from chain (seeding the mirror) otherwise.
+ *
+ * PancakeSwap V3 pools expose the same reads; only the factory, fee tiers and
+ * Swap event (handled by the mirror) differ.
+ */
+class V3Adapter {
+  /**
+   * @param {string} name    Venue id (the venue's `source`)
+   * @param {object} config  – entry from CHAINS[chain].venues: factory, router, feeTiers
+   * @param {object} context – { multicall, pools, mirror, tokens }
+   */
+  constructor(name, config, context) {
+    this.name     = name;
+    this.kind     = 'v3';
+    this.feeTiers = config.feeTiers ?? DEFAULT_FEE_TIERS;
+    this.reader   = context.multicall;
+    this.pools    = context.pools;
+    this.mirror   = context.mirror;
+    this.tokens   = context.tokens;
+    this.pools.addFactory(name, 'v3', config.factory);
+  }
+
+  /**
+   * Scan fee tiers for a pair and price each pool with in-range liquidity.
+   *
+   * @param {object} [options]
+   * @param {number[]} [options.feeTiers]  Fee tiers to look up (default: the venue's)
+   * @returns {Promise<object[]>} Venues with price (tokenB per tokenA), fee, token0/1 and state
+   */
+  async discover(tokenA, tokenB, options = {}) {
+    const [base, quote] = await Promise.all([this.tokens.resolve(tokenA), this.tokens.resolve(tokenB)]);
+    const results = [];
+
+    await Promise.all(
+      (options.feeTiers ?? this.feeTiers).map(async (fee) => {
+        const poolAddr = await this.pools.pool(this.name, tokenA, tokenB, fee);
+        if (!poolAddr) return;
+
+        const { token0, token1, state } = this.mirror.get(poolAddr) ?? await this.read(poolAddr, fee);
+        if (state.liquidity === 0n) return;
+        results.push({
+          pool: poolAddr, fee, price: v3Price(base, quote, token0, state), liquidity: state.liquidity,
+          token0, token1, state,
+        });
+      })
+    );
+
+    return results;
+  }
+
+  /**
+   * Read a pool's state from chain and seed it into the mirror.
+   * @returns {Promise<{token0, token1, state}>}
+   */
+  async read(poolAddr, fee) {
+    const pool = new ethers.Contract(poolAddr, V3_POOL_ABI, this.reader);
+    const [slot0, liquidity, token0, token1, tickSpacing, blockNumber] = await Promise.all([
+      pool.slot0(),
+      pool.liquidity(),
+      pool.token0(),
+      pool.token1(),
+      pool.tickSpacing(),
+      this.reader.blockNumber(),
+    ]);
+
+    const state = await this.loadState(pool, {
+      sqrtPriceX96: slot0.sqrtPriceX96,
+      tick:         Number(slot0.tick),
+      liquidity,
+      fee,
+      tickSpacing:  Number(tickSpacing),
+    });
+    const snapshot = { token0, token1, state };
+    this.mirror.seed(poolAddr, snapshot, blockNumber);
+    return snapshot;
+  }
+
+  /**
+   * Load the initialized ticks around the current price so swaps can be
+   * simulated across tick boundaries.
+   *
+   * @param {ethers.Contract} pool
+   * @param {object} base  sqrtPriceX96, tick, liquidity, fee, tickSpacing
+   * @returns {object}     `base` plus ticks (Map tick → liquidityNet), tickLower, tickUpper
+   */
+  async loadState(pool, base) {
+    const { tick, tickSpacing } = base;
+    const centre = tickWordPosition(tick, tickSpacing);
+    const words  = [];
+    for (let w = centre - TICK_WORD_RADIUS; w <= centre + TICK_WORD_RADIUS; w++) words.push(w);
+
+    const bitmaps = await Promise.all(words.map((w) => pool.tickBitmap(w)));
+
+    const initialized = [];
+    words.forEach((word, idx) => {
+      const bitmap = bitmaps[idx];
+      if (bitmap === 0n) return;
+      for (let bit = 0; bit < 256; bit++) {
+        if ((bitmap >> BigInt(bit)) & 1n) initialized.push((word * 256 + bit) * tickSpacing);
+      }
+    });
+
+    const tickData = await Promise.all(initialized.map((t) => pool.ticks(t)));
+    const ticks    = new Map();
+    initialized.forEach((t, idx) => ticks.set(t, tickData[idx].liquidityNet));
+
+    return {
+      ...base,
+      ticks,
+      tickLower: words[0] * 256 * tickSpacing,
+      tickUpper: (words[words.length - 1] * 256 + 255) * tickSpacing,
+    };
+  }
+
+  async quote(venue, tokenIn, amountIn) {
+    const zeroForOne = venue.token0.toLowerCase() === tokenIn.toLowerCase();
+    const sim = simulateV3Swap(venue.state, zeroForOne, amountIn);
+    if (sim.exhausted || sim.amountOut === 0n) return null;
+    const spotOut = v3SpotAmountOut(venue.state.sqrtPriceX96, venue.fee, zeroForOne, amountIn);
+    return { amountOut: sim.amountOut, priceImpactBps: priceImpactBps(spotOut, sim.amountOut) };
+  }
+
+  async refresh(venue) {
+    const { state } = this.mirror.get(venue.pool) ?? await this.read(venue.pool, venue.fee);
+    const { base, quote } = venue.price;
+    return { ...venue, price: v3Price(base, quote, venue.token0, state), liquidity: state.liquidity, state };
+  }
+
+  spotRate(venue, tokenIn) {
+    const sqrt  = Number(venue.state.sqrtPriceX96) / Number(Q96);
+    const price = sqrt * sqrt; // token1 per token0
+    const zeroForOne = venue.token0.toLowerCase() === tokenIn.toLowerCase();
+    return (zeroForOne ? price : 1 / price) * (1 - venue.fee / 1e6);
+  }
+}
+
+module.exports = { V3Adapter };
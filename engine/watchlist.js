@@ -0,0 +1,208 @@
+// engine/watchlist.js – Per-chain pair universe loaded from a JSON/YAML watchlist file
+'use strict';
+
+const fs               = require('fs');
+const path             = require('path');
+const { EventEmitter } = require('events');
+const { ethers }       = require('ethers');
+const YAML             = require('yaml');
+const { CHAINS }       = require('./config');
+
+// How often the file's mtime is polled for hot reload
+const WATCH_INTERVAL_MS = 1000;
+
+/**
+ * Built-in pairs used for a chain the watchlist does not mention.
+ */
+function defaultPairs(chainConfig) {
+  return [
+    [chainConfig.usdc, chainConfig.usdt],
+    [chainConfig.usdc, chainConfig.dai],
+    [chainConfig.usdt, chainConfig.dai],
+    [chainConfig.weth, chainConfig.usdc],
+    [chainConfig.weth, chainConfig.usdt],
+  ].map(([tokenA, tokenB]) => ({ tokenA, tokenB }));
+}
+
+function parseFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+}
+
+function isPositiveDecimal(value) {
+  return (typeof value === 'number' && value > 0) ||
+    (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value) && Number(value) > 0);
+}
+
+/**
+ * Validate a parsed watchlist and resolve token symbols to addresses.
+ *
+ * @returns {{chains: object, limits: object}}
+ *   chains: chainName → Array<{tokenA, tokenB, dexes?, feeTiers?, minProfitBps?, minProfitUsd?, loanAmount?}>
+ *   limits: chainName → token address (lowercase) → largest loan in token units
+ * @throws {Error} listing every problem found
+ */
+function validate(doc) {
+  const errors   = [];
+  const resolved = {};
+  const limits   = {};
+
+  if (doc == null || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new Error('Invalid watchlist: top level must be an object keyed by chain name');
+  }
+
+  for (const [chainName, entry] of Object.entries(doc)) {
+    const at = (suffix) => `${chainName}${suffix}`;
+    if (!CHAINS[chainName]) {
+      errors.push(`${chainName}: unknown chain (valid: ${Object.keys(CHAINS).join(', ')})`);
+      continue;
+    }
+    if (entry == null || typeof entry !== 'object') {
+      errors.push(`${chainName}: must be an object with tokens and pairs`);
+      continue;
+    }
+
+    // symbol → checksummed address
+    const tokens = {};
+    for (const [symbol, address] of Object.entries(entry.tokens ?? {})) {
+      if (ethers.isAddress(address)) tokens[symbol] = ethers.getAddress(address);
+      else errors.push(`${at(`.tokens.${symbol}`)}: not an address: ${address}`);
+    }
+    const resolveToken = (ref) => (ethers.isAddress(ref) ? ethers.getAddress(ref) : tokens[ref]);
+
+    limits[chainName] = {};
+    for (const [ref, amount] of Object.entries(entry.limits ?? {})) {
+      const token = resolveToken(ref);
+      if (!token) errors.push(`${at(`.limits.${ref}`)}: unknown token`);
+      else if (!isPositiveDecimal(amount)) errors.push(`${at(`.limits.${ref}`)}: must be a positive amount in ${ref} units`);
+      else limits[chainName][token.toLowerCase()] = String(amount);
+    }
+
+    // Venue ids a pair may restrict itself to (PoolScanner `source` values)
+    const knownDexes = Object.keys(CHAINS[chainName].venues ?? {});
+    const defaults   = entry.defaults ?? {};
+    if (!Array.isArray(entry.pairs)) {
+      errors.push(`${at('.pairs')}: must be an array`);
+      continue;
+    }
+
+    resolved[chainName] = [];
+    entry.pairs.forEach((pair, idx) => {
+      const where = at(`.pairs[${idx}]`);
+      const spec  = { ...defaults, ...pair };
+
+      if (!Array.isArray(spec.tokens) || spec.tokens.length !== 2) {
+        errors.push(`${where}.tokens: must list exactly two tokens`);
+        return;
+      }
+      const [tokenA, tokenB] = spec.tokens.map(resolveToken);
+      spec.tokens.forEach((ref, i) => {
+        if (![tokenA, tokenB][i]) errors.push(`${where}.tokens: unknown token ${ref}`);
+      });
+      if (tokenA && tokenB && tokenA.toLowerCase() === tokenB.toLowerCase()) {
+        errors.push(`${where}.tokens: both sides are ${spec.tokens[0]}`);
+      }
+
+      if (spec.dexes !== undefined) {
+        if (!Array.isArray(spec.dexes) || spec.dexes.length === 0) {
+          errors.push(`${where}.dexes: must be a non-empty array`);
+        } else {
+          const bad = spec.dexes.filter((d) => !knownDexes.includes(d));
+          if (bad.length) errors.push(`${where}.dexes: unknown ${bad.join(', ')} (valid on ${chainName}: ${knownDexes.join(', ')})`);
+        }
+      }
+      if (spec.feeTiers !== undefined &&
+        (!Array.isArray(spec.feeTiers) || !spec.feeTiers.every((f) => Number.isInteger(f) && f > 0 && f < 1_000_000))) {
+        errors.push(`${where}.feeTiers: must be an array of fees in hundredths of a bip (e.g. 500)`);
+      }
+      if (spec.minProfitBps !== undefined && !(Number.isInteger(spec.minProfitBps) && spec.minProfitBps >= 0)) {
+        errors.push(`${where}.minProfitBps: must be a non-negative integer`);
+      }
+      if (spec.minProfitUsd !== undefined && !(typeof spec.minProfitUsd === 'number' && spec.minProfitUsd >= 0)) {
+        errors.push(`${where}.minProfitUsd: must be a non-negative number`);
+      }
+      if (spec.loanAmount !== undefined && !isPositiveDecimal(spec.loanAmount)) {
+        errors.push(`${where}.loanAmount: must be a positive amount in ${spec.tokens[0]} units`);
+      }
+
+      resolved[chainName].push({
+        tokenA,
+        tokenB,
+        dexes:        spec.dexes,
+        feeTiers:     spec.feeTiers,
+        minProfitBps: spec.minProfitBps,
+        minProfitUsd: spec.minProfitUsd,
+        loanAmount:   spec.loanAmount,
+      });
+    });
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid watchlist:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { chains: resolved, limits };
+}
+
+/**
+ * Watchlist loads and validates the pair universe for every chain and, once
+ * `watch()` is called, reloads it when the file changes. A reload that fails
+ * validation is reported via 'error' and the previous pairs stay in effect.
+ *
+ * Events: 'change' (chains) after a successful reload, 'error' (err).
+ */
+class Watchlist extends EventEmitter {
+  /**
+   * @param {string} filePath  JSON (.json) or YAML (.yaml/.yml) watchlist
+   * @param {object} [options]
+   * @param {number} [options.intervalMs]  How often `watch()` polls the file (default 1000)
+   */
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath   = path.resolve(filePath);
+    this.intervalMs = options.intervalMs ?? WATCH_INTERVAL_MS;
+    this.chains     = {};
+    this.limits     = {};
+  }
+
+  /**
+   * Load and validate the file; throws on a missing or invalid watchlist.
+   */
+  load() {
+    ({ chains: this.chains, limits: this.limits } = validate(parseFile(this.filePath)));
+    return this;
+  }
+
+  watch() {
+    fs.watchFile(this.filePath, { interval: this.intervalMs }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      try {
+        this.load();
+        this.emit('change', Object.keys(this.chains));
+      } catch (err) {
+        this.emit('error', err);
+      }
+    });
+  }
+
+  unwatch() {
+    fs.unwatchFile(this.filePath);
+  }
+
+  /**
+   * Pairs to scan on a chain; falls back to the built-in pairs when the
+   * watchlist has no entry for it.
+   */
+  pairs(chainName) {
+    return this.chains[chainName] ?? defaultPairs(CHAINS[chainName]);
+  }
+
+  /**
+   * Per-token risk limit: the largest loan (token units, decimal string) the
+   * engine may size up to, or undefined when the watchlist sets none.
+   */
+  loanLimit(chainName, token) {
+    return this.limits[chainName]?.[token.toLowerCase()];
+  }
+}
+
+module.exports = { Watchlist, defaultPairs };
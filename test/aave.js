@@ -0,0 +1,79 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { AaveReader } = require('../engine/aave');
+
+const WETH          = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+const A_WETH        = '0xe50fA9b3c56FfB159cB0FCA61F5c9D750e8128c8';
+const PROVIDER      = '0xa97684ead0e402dC232d5A977953DF7ECBaB3CDb';
+const POOL          = '0x794a61358D6845594F94dc1DB02A252b5b4814aD';
+const DATA_PROVIDER = '0x69FA688f1Dc47d4B5d8029D5a35FB7a548310654';
+const ORACLE        = '0xb56c2F0B653B2e0b10C9b928C8580Ac5Df02C7C7';
+
+const iface = new ethers.Interface([
+  'function getPool() view returns (address)',
+  'function getPoolDataProvider() view returns (address)',
+  'function getPriceOracle() view returns (address)',
+  'function getReserveConfigurationData(address asset) view returns (uint256 decimals, uint256 ltv, uint256 liquidationThreshold, uint256 liquidationBonus, uint256 reserveFactor, bool usageAsCollateralEnabled, bool borrowingEnabled, bool stableBorrowRateEnabled, bool isActive, bool isFrozen)',
+  'function getPaused(address asset) view returns (bool isPaused)',
+  'function getFlashLoanEnabled(address asset) view returns (bool)',
+  'function getReserveTokensAddresses(address asset) view returns (address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress)',
+  'function balanceOf(address account) view returns (uint256)',
+]);
+
+/**
+ * Read-only runner serving one WETH reserve with the given flags and aToken
+ * balance. `flashLoanFlag: null` makes getFlashLoanEnabled revert (pre-3.0.1).
+ */
+function stubAave({ active = true, frozen = false, paused = false, flashLoanFlag = true, balance = 10n ** 20n } = {}) {
+  const results = {
+    getPool:                     [POOL],
+    getPoolDataProvider:         [DATA_PROVIDER],
+    getPriceOracle:              [ORACLE],
+    getReserveConfigurationData: [18, 8000, 8250, 10500, 1500, true, true, false, active, frozen],
+    getPaused:                   [paused],
+    getFlashLoanEnabled:         [flashLoanFlag],
+    getReserveTokensAddresses:   [A_WETH, ethers.ZeroAddress, ethers.ZeroAddress],
+    balanceOf:                   [balance],
+  };
+  return {
+    call: async (tx) => {
+      const { name } = iface.parseTransaction({ data: tx.data });
+      if (results[name][0] === null) {
+        throw ethers.makeError('execution reverted', 'CALL_EXCEPTION', { data: '0x' });
+      }
+      return iface.encodeFunctionResult(name, results[name]);
+    },
+  };
+}
+
+const reader = (flags) => new AaveReader(null, { aavePoolAddressProvider: PROVIDER }, { reader: stubAave(flags) });
+
+describe('AaveReader.checkLoan', () => {
+  it('allows a loan the aToken balance covers', async () => {
+    expect(await reader().checkLoan(WETH, 10n ** 18n)).to.deep.equal({ ok: true, reason: null, available: 10n ** 20n });
+  });
+
+  it('rejects a loan above the available liquidity', async () => {
+    expect(await reader({ balance: 10n ** 17n }).checkLoan(WETH, 10n ** 18n))
+      .to.deep.equal({ ok: false, reason: 'insufficient Aave liquidity', available: 10n ** 17n });
+  });
+
+  it('rejects paused, inactive and flash-loan-disabled reserves', async () => {
+    const cases = [
+      [{ paused: true }, 'Aave reserve is paused'],
+      [{ active: false }, 'Aave reserve is inactive'],
+      [{ flashLoanFlag: false }, 'flash loans are disabled for the Aave reserve'],
+    ];
+    for (const [flags, reason] of cases) {
+      expect(await reader(flags).checkLoan(WETH, 1n)).to.deep.equal({ ok: false, reason, available: 0n });
+    }
+  });
+
+  it('still lends from a frozen reserve', async () => {
+    expect((await reader({ frozen: true }).checkLoan(WETH, 1n)).ok).to.equal(true);
+  });
+
+  it('treats a reserve without the flash-loan flag as enabled', async () => {
+    expect((await reader({ flashLoanFlag: null }).checkLoan(WETH, 1n)).ok).to.equal(true);
+  });
+});
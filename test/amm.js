@@ -0,0 +1,114 @@
+const { expect } = require('chai');
+const {
+  Q96, MIN_TICK, MAX_TICK, getSqrtRatioAtTick, computeSwapStep, simulateV3Swap,
+  v3SpotAmountOut, getAmountOutV2,
+} = require('../engine/amm');
+
+const e18 = (n) => BigInt(n) * 10n ** 18n;
+
+// Expected values are the Uniswap v3-core TickMath / SwapMath and v2-core
+// UniswapV2Pair test vectors.
+describe('amm', () => {
+  describe('getSqrtRatioAtTick', () => {
+    it('matches TickMath at and next to the tick bounds', () => {
+      expect(getSqrtRatioAtTick(MIN_TICK)).to.equal(4295128739n);
+      expect(getSqrtRatioAtTick(MIN_TICK + 1)).to.equal(4295343490n);
+      expect(getSqrtRatioAtTick(MAX_TICK - 1)).to.equal(1461373636630004318706518188784493106690254656249n);
+      expect(getSqrtRatioAtTick(MAX_TICK)).to.equal(1461446703485210103287273052203988822378723970342n);
+      expect(getSqrtRatioAtTick(0)).to.equal(Q96);
+    });
+
+    it('rejects ticks out of range', () => {
+      expect(() => getSqrtRatioAtTick(MIN_TICK - 1)).to.throw(RangeError);
+      expect(() => getSqrtRatioAtTick(MAX_TICK + 1)).to.throw(RangeError);
+    });
+  });
+
+  describe('computeSwapStep', () => {
+    it('stops at the price target when the input is larger', () => {
+      // price 1 → target encodePriceSqrt(101, 100), one for zero, 0.06% fee
+      const step = computeSwapStep(Q96, 79623317895830914510487008059n, e18(2), e18(1), 600);
+      expect(step.sqrtNext).to.equal(79623317895830914510487008059n);
+      expect(step.amountIn).to.equal(9975124224178055n);
+      expect(step.feeAmount).to.equal(5988667735148n);
+      expect(step.amountOut).to.equal(9925619580021728n);
+    });
+  });
+
+  describe('simulateV3Swap', () => {
+    // Pool at price 1 with 2e18 liquidity and a 0.06% fee; ticks loaded to ±23100 (price ≈ 10)
+    const pool = (ticks = []) => ({
+      sqrtPriceX96: Q96, tick: 0, liquidity: e18(2), fee: 600,
+      ticks: new Map(ticks), tickLower: -23100, tickUpper: 23100,
+    });
+
+    it('spends the whole input within one tick range', () => {
+      // SwapMath "exact amount in that is fully spent in one for zero"
+      const result = simulateV3Swap(pool(), false, e18(1));
+      expect(result.amountOut).to.equal(666399946655997866n);
+      expect(result.sqrtPriceX96).to.equal(118818475322642227089037862318n);
+      expect(result.exhausted).to.equal(false);
+    });
+
+    it('changes liquidity by liquidityNet when crossing an initialized tick', () => {
+      const crossing = (zeroForOne, tick, liquidityNet) => {
+        const result = simulateV3Swap(pool([[tick, liquidityNet]]), zeroForOne, e18(1));
+        // Up to the tick at 2e18, the rest at 3e18
+        const first  = computeSwapStep(Q96, getSqrtRatioAtTick(tick), e18(2), e18(1), 600);
+        const second = computeSwapStep(
+          first.sqrtNext, getSqrtRatioAtTick(zeroForOne ? -23100 : 23100), e18(3),
+          e18(1) - first.amountIn - first.feeAmount, 600
+        );
+        expect(first.sqrtNext).to.equal(getSqrtRatioAtTick(tick));
+        expect(result.amountOut).to.equal(first.amountOut + second.amountOut);
+        expect(result.sqrtPriceX96).to.equal(second.sqrtNext);
+        expect(result.exhausted).to.equal(false);
+        return result.amountOut;
+      };
+
+      // Upward the tick's liquidityNet is added, downward it is subtracted
+      expect(crossing(false, 100, e18(1)) > 666399946655997866n).to.equal(true);
+      crossing(true, -100, -e18(1));
+    });
+
+    it('flags a swap that runs past the loaded ticks', () => {
+      const state  = { ...pool(), tickUpper: 100 };
+      const result = simulateV3Swap(state, false, e18(1));
+      const step   = computeSwapStep(Q96, getSqrtRatioAtTick(100), e18(2), e18(1), 600);
+      expect(result.exhausted).to.equal(true);
+      expect(result.sqrtPriceX96).to.equal(getSqrtRatioAtTick(100));
+      expect(result.amountOut).to.equal(step.amountOut);
+    });
+  });
+
+  describe('v3SpotAmountOut', () => {
+    it('prices the input at the current price net of fee', () => {
+      expect(v3SpotAmountOut(Q96, 3000, true, e18(1))).to.equal(997n * 10n ** 15n);
+      // sqrtPrice 2 → 4 token1 per token0
+      expect(v3SpotAmountOut(2n * Q96, 3000, true, e18(1))).to.equal(4n * 997n * 10n ** 15n);
+      expect(v3SpotAmountOut(2n * Q96, 3000, false, e18(1))).to.equal(997n * 10n ** 15n / 4n);
+    });
+  });
+
+  describe('getAmountOutV2', () => {
+    it('matches UniswapV2Pair getInputPrice vectors', () => {
+      const vectors = [
+        [1, 5, 10, 1662497915624478906n],
+        [1, 10, 5, 453305446940074565n],
+        [2, 5, 10, 2851015155847869602n],
+        [2, 10, 5, 831248957812239453n],
+        [1, 10, 10, 906610893880149131n],
+        [1, 100, 100, 987158034397061298n],
+        [1, 1000, 1000, 996006981039903216n],
+      ];
+      for (const [amountIn, reserveIn, reserveOut, expected] of vectors) {
+        expect(getAmountOutV2(e18(amountIn), e18(reserveIn), e18(reserveOut))).to.equal(expected);
+      }
+    });
+
+    it('applies the fee in basis points and returns 0 for empty reserves', () => {
+      expect(getAmountOutV2(1000n, 10n ** 9n, 10n ** 9n, 25)).to.equal(997n);
+      expect(getAmountOutV2(1000n, 0n, 10n ** 9n)).to.equal(0n);
+    });
+  });
+});
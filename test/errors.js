@@ -0,0 +1,64 @@
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { ArbRevertError, decodeError, loadArbAbi } = require('../engine/errors');
+
+describe('loadArbAbi', () => {
+  it('falls back to the committed interface when no full ABI is available', () => {
+    const { abi, complete } = loadArbAbi();
+    const iface = new ethers.Interface(abi);
+    expect(complete).to.equal(false);
+    expect(iface.getFunction('executeArbitrage')).to.not.equal(null);
+    expect(iface.getEvent('ArbExecuted')).to.not.equal(null);
+  });
+
+  it('reads ARB_ABI_PATH as a bare ABI or a Hardhat artifact', () => {
+    const { complete } = loadArbAbi(path.join(__dirname, '..', 'abi', 'FlashLoanArbitrageV3.json'));
+    expect(complete).to.equal(true);
+    expect(() => loadArbAbi('/nonexistent/abi.json')).to.throw(/Cannot read FlashLoanArbitrageV3 ABI/);
+  });
+});
+
+describe('decodeError', () => {
+  const iface = new ethers.Interface(loadArbAbi().abi);
+  const abi   = ethers.AbiCoder.defaultAbiCoder();
+  const revertString = (reason) => ethers.concat([iface.getError('Error').selector, abi.encode(['string'], [reason])]);
+  const callException = (data) => Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', data });
+
+  it('classifies a DEX revert bubbling up through the contract', () => {
+    const err = decodeError(callException(revertString('UniswapV2: K')), iface);
+    expect(err).to.be.instanceOf(ArbRevertError);
+    expect(err.category).to.equal('DEX revert');
+    expect(err.reason).to.equal('UniswapV2: K');
+  });
+
+  it('names Aave error codes', () => {
+    const err = decodeError(callException(revertString('29')), iface);
+    expect(err.category).to.equal('Aave revert');
+    expect(err.aaveCode).to.equal('29');
+    expect(err.reason).to.equal('RESERVE_PAUSED (29)');
+  });
+
+  it('treats a failed repayment as insufficient profit', () => {
+    const data = iface.encodeErrorResult('ERC20InsufficientBalance', [ethers.ZeroAddress, 5n, 6n]);
+    const err  = decodeError(callException(data), iface);
+    expect(err.category).to.equal('insufficient profit');
+    expect(err.errorName).to.equal('ERC20InsufficientBalance');
+  });
+
+  it('flags calls from a wallet that does not own the contract', () => {
+    const data = iface.encodeErrorResult('OwnableUnauthorizedAccount', [ethers.ZeroAddress]);
+    expect(decodeError(callException(data), iface).category).to.equal('unauthorized');
+  });
+
+  it('reports custom errors missing from the ABI by selector', () => {
+    const err = decodeError(callException('0xdeadbeef'), iface);
+    expect(err.category).to.equal('unknown');
+    expect(err.reason).to.equal('custom error 0xdeadbeef (not in the loaded ABI)');
+  });
+
+  it('passes through errors that are not reverts', () => {
+    const err = Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+    expect(decodeError(err, iface)).to.equal(err);
+  });
+});
@@ -0,0 +1,103 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { ArbExecutor } = require('../engine/executor');
+
+const ARB    = '0x000000000000000000000000000000000000beef';
+const WETH   = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+const USDC   = '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8';
+const QUOTER = '0x61fFE014bA17989E743c5F6cB21bF9697530B21e';
+const ROUTER = '0x1b02dA8Cb0d097eB8D57A175b88c7D8b47997506';
+
+const quoterIface = new ethers.Interface([
+  'function quoteExactInputSingle(tuple(address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) view returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+]);
+const routerIface = new ethers.Interface([
+  'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+]);
+
+/**
+ * Executor whose provider answers QuoterV2 with `quotes.v3` and the V2 router
+ * with `quotes.v2` (amountIn → amountOut), recording each on-chain quote.
+ */
+function quotingExecutor(quotes) {
+  const calls    = [];
+  const warnings = [];
+  const provider = {
+    call: async ({ to, data }) => {
+      if (to.toLowerCase() === QUOTER.toLowerCase()) {
+        const [params] = quoterIface.decodeFunctionData('quoteExactInputSingle', data);
+        calls.push({ via: 'QuoterV2', amountIn: params.amountIn, fee: params.fee });
+        return quoterIface.encodeFunctionResult('quoteExactInputSingle', [quotes.v3(params.amountIn), 0n, 0, 0n]);
+      }
+      const [amountIn, path] = routerIface.decodeFunctionData('getAmountsOut', data);
+      calls.push({ via: 'getAmountsOut', amountIn, path: [...path] });
+      return routerIface.encodeFunctionResult('getAmountsOut', [[amountIn, quotes.v2(amountIn)]]);
+    },
+  };
+  const wallet      = { address: '0x000000000000000000000000000000000000dead', provider };
+  const chainConfig = {
+    venues: {
+      uniswapV3: { kind: 'v3', quoter: QUOTER },
+      sushiswap: { kind: 'v2', router: ROUTER },
+    },
+  };
+  const logger   = { log() {}, warn: (message) => warnings.push(message), error() {} };
+  const executor = new ArbExecutor(wallet, ARB, chainConfig, { logger, quoteToleranceBps: 10 });
+  return { executor, calls, warnings };
+}
+
+describe('ArbExecutor.crossCheck', () => {
+  // Borrow 10 WETH, buy USDC on Uniswap V3 (0.05%), sell it back on SushiSwap
+  const opportunity = {
+    tokenA: WETH,
+    tokenB: USDC,
+    buy:    { source: 'uniswapV3', kind: 'v3', fee: 500 },
+    sell:   { source: 'sushiswap', kind: 'v2' },
+  };
+  const loan  = 10n * 10n ** 18n;
+  const local = { quote1: 20_000n * 10n ** 6n, quote2: 10_050n * 10n ** 15n };
+  // On-chain quote `bps` basis points below the local one
+  const below = (amount, bps) => (amount * (10000n - BigInt(bps))) / 10000n;
+
+  it('passes when both legs are within the tolerance of their on-chain quotes', async () => {
+    const { executor, calls, warnings } = quotingExecutor({
+      v3: () => below(local.quote1, 9),
+      v2: () => below(local.quote2, 5),
+    });
+
+    const { ok, legs } = await executor.crossCheck(opportunity, loan, local);
+    expect(ok).to.equal(true);
+    expect(legs.map((l) => [l.leg, l.via, l.gapBps])).to.deep.equal([[1, 'QuoterV2', 9], [2, 'getAmountsOut', 5]]);
+    expect(warnings).to.be.empty;
+    // Leg 2 is quoted on chain from the local leg 1 output
+    expect(calls).to.deep.equal([
+      { via: 'QuoterV2', amountIn: loan, fee: 500n },
+      { via: 'getAmountsOut', amountIn: local.quote1, path: [USDC, WETH] },
+    ]);
+  });
+
+  it('fails when the QuoterV2 leg is outside the tolerance', async () => {
+    const { executor, warnings } = quotingExecutor({
+      v3: () => below(local.quote1, 12),
+      v2: () => local.quote2,
+    });
+
+    const { ok, legs } = await executor.crossCheck(opportunity, loan, local);
+    expect(ok).to.equal(false);
+    expect(legs[0]).to.include({ leg: 1, via: 'QuoterV2', gapBps: 12 });
+    expect(warnings).to.have.length(1);
+    expect(warnings[0]).to.include('Quote mismatch on leg 1 (uniswapV3)');
+  });
+
+  it('fails when the getAmountsOut leg is outside the tolerance', async () => {
+    const { executor, warnings } = quotingExecutor({
+      v3: () => local.quote1,
+      v2: () => below(local.quote2, 50),
+    });
+
+    const { ok, legs } = await executor.crossCheck(opportunity, loan, local);
+    expect(ok).to.equal(false);
+    expect(legs.map((l) => l.gapBps)).to.deep.equal([0, 50]);
+    expect(warnings[0]).to.include('Quote mismatch on leg 2 (sushiswap)');
+  });
+});
@@ -0,0 +1,344 @@
+const http = require('http');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { ArbExecutor } = require('../engine/executor');
+const { FlashbotsProvider, simulationError } = require('../engine/flashbots');
+const { loadFlashbotsAuthSigner } = require('../engine/runner');
+
+const quiet = { log() {}, warn() {}, error() {} };
+const ARB  = '0x000000000000000000000000000000000000beef';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const TX_OPTIONS = { gasLimit: 500000n, maxFeePerGas: 30n * 10n ** 9n, maxPriorityFeePerGas: 10n ** 9n };
+
+/**
+ * Local relay speaking the Flashbots JSON-RPC methods. `handlers` maps a
+ * method to (params) → result, or to a number to answer with that HTTP status.
+ */
+async function startRelay(handlers) {
+  const calls  = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      calls.push({ method, params, signed: Boolean(req.headers['x-flashbots-signature']) });
+      const handler = handlers[method];
+      if (typeof handler === 'number') {
+        res.writeHead(handler).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result: handler ? handler(params[0]) : null }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}`, calls, close: () => server.close() };
+}
+
+/**
+ * Chain stub: while `ticking`, the block advances on every getBlockNumber; a
+ * tx hash in `mined` has a receipt.
+ */
+function stubChain() {
+  const chain = {
+    block:     100,
+    ticking:   true,
+    mined:     new Set(),
+    broadcast: [],
+    provider: {
+      getNetwork:            async () => new ethers.Network('test', 1n),
+      getBlockNumber:        async () => (chain.ticking ? chain.block++ : chain.block),
+      getTransactionCount:   async () => 7,
+      getFeeData:            async () => ({ maxFeePerGas: TX_OPTIONS.maxFeePerGas, maxPriorityFeePerGas: 10n ** 9n }),
+      getTransactionReceipt: async (hash) => (chain.mined.has(hash) ? { hash, blockNumber: chain.block, status: 1 } : null),
+      broadcastTransaction:  async (signed) => {
+        const tx = ethers.Transaction.from(signed);
+        chain.broadcast.push(tx);
+        chain.mined.add(tx.hash);
+        return tx;
+      },
+    },
+  };
+  return chain;
+}
+
+function privateExecutor(relay, chain, policy = {}) {
+  const wallet    = new ethers.Wallet(ethers.Wallet.createRandom().privateKey, chain.provider);
+  const flashbots = new FlashbotsProvider(chain.provider, ethers.Wallet.createRandom(), relay.url, { timeoutMs: 1000 });
+  return new ArbExecutor(wallet, ARB, {}, {
+    flashbots, logger: quiet, pollIntervalMs: 5, targetBlocks: 2, ...policy,
+  });
+}
+
+async function until(condition) {
+  while (!condition()) await new Promise((resolve) => setTimeout(resolve, 5));
+}
+
+const SIM_OK = () => ({ results: [{ txHash: '0x01' }] });
+const sent   = (relay) => relay.calls.filter((c) => c.method === 'eth_sendBundle').map((c) => c.params[0]);
+
+function submit(executor) {
+  return executor.executePrivate(WETH, 10n ** 18n, '0x', TX_OPTIONS, 'test', 'weth/usdc');
+}
+
+describe('ArbExecutor private submission', () => {
+  let relay;
+  afterEach(() => relay?.close());
+
+  it('releases the nonce when the relay fails the simulation request', async () => {
+    relay = await startRelay({ eth_callBundle: 502 });
+    const executor = privateExecutor(relay, stubChain());
+
+    let error;
+    await submit(executor).catch((err) => { error = err; });
+    expect(error.message).to.match(/eth_callBundle error: 502/);
+    expect(relay.calls.map((c) => c.method)).to.deep.equal(['eth_callBundle']);
+    expect(await executor.nonces.next()).to.equal(7);
+  });
+
+  it('sends each target block its own replacement uuid', async () => {
+    relay = await startRelay({ eth_callBundle: SIM_OK, eth_sendBundle: () => ({ bundleHash: '0xb1' }) });
+    const executor = privateExecutor(relay, stubChain());
+
+    await (await submit(executor)).settled.catch(() => {});
+    const bundles = sent(relay);
+    expect(bundles.map((b) => b.blockNumber)).to.deep.equal(['0x65', '0x66']);
+    expect(bundles[0].replacementUuid).to.not.equal(bundles[1].replacementUuid);
+  });
+
+  it('supersedes a pending bundle on the same pair at the same nonce', async () => {
+    relay = await startRelay({ eth_callBundle: SIM_OK, eth_sendBundle: () => ({ bundleHash: '0xb1' }) });
+    const chain    = stubChain();
+    const executor = privateExecutor(relay, chain);
+    chain.ticking  = false;
+
+    const first = await submit(executor);
+    await until(() => sent(relay).length === 2);
+    expect(executor.accepts({ tokenA: WETH, tokenB: ARB })).to.equal(false); // one pending bundle at a time
+    chain.block = 101;
+    const second = await submit(executor);
+
+    let error;
+    await first.settled.catch((err) => { error = err; });
+    expect(error.message).to.match(/superseded/);
+    await until(() => sent(relay).length === 4);
+    const [old101, old102, new102, new103] = sent(relay);
+    expect(new102.replacementUuid).to.equal(old102.replacementUuid);
+    expect(new103.replacementUuid).to.not.be.oneOf([old101.replacementUuid, old102.replacementUuid]);
+    const nonceOf = (bundle) => ethers.Transaction.from(bundle.txs[0]).nonce;
+    expect(nonceOf(new102)).to.equal(nonceOf(old102));
+    expect(executor.bundleStats.superseded).to.equal(1);
+
+    chain.ticking = true;
+    await second.settled.catch(() => {});
+  });
+
+  it('stops sending the remaining blocks of a superseded bundle', async () => {
+    relay = await startRelay({ eth_callBundle: SIM_OK, eth_sendBundle: () => ({ bundleHash: '0xb1' }) });
+    const chain    = stubChain();
+    const executor = privateExecutor(relay, chain);
+    chain.ticking  = false;
+    // Hold the first bundle's loop after its first block until released
+    let release;
+    const held = new Promise((resolve) => { release = resolve; });
+    const sendBundle = executor.flashbots.sendBundle.bind(executor.flashbots);
+    executor.flashbots.sendBundle = async (...args) => {
+      const res = await sendBundle(...args);
+      if (sent(relay).length === 1) await held;
+      return res;
+    };
+
+    const first = await submit(executor);
+    await until(() => sent(relay).length === 1);
+    chain.block = 101;
+    const second = await submit(executor);
+    await until(() => sent(relay).length === 3);
+    release();
+
+    let error;
+    await first.settled.catch((err) => { error = err; });
+    expect(error.message).to.match(/superseded/);
+    const bundles = sent(relay);
+    expect(bundles.map((b) => b.blockNumber)).to.deep.equal(['0x65', '0x66', '0x67']);
+    expect(bundles[1].txs).to.deep.equal(bundles[2].txs);
+
+    chain.ticking = true;
+    await second.settled.catch(() => {});
+  });
+
+  it('cancels every block of a pending bundle when the newer trade fails simulation', async () => {
+    let simulation = SIM_OK;
+    relay = await startRelay({
+      eth_callBundle:   () => simulation(),
+      eth_sendBundle:   () => ({ bundleHash: '0xb1' }),
+      eth_cancelBundle: () => null,
+    });
+    const chain    = stubChain();
+    const executor = privateExecutor(relay, chain);
+    chain.ticking  = false;
+
+    const first = await submit(executor);
+    await until(() => sent(relay).length === 2);
+    simulation = () => ({ results: [{ error: 'execution reverted', revert: 'STF' }] });
+
+    let error;
+    await submit(executor).catch((err) => { error = err; });
+    expect(error.message).to.match(/Bundle simulation failed: execution reverted: STF/);
+    await first.settled.catch(() => {});
+    const cancelled = relay.calls.filter((c) => c.method === 'eth_cancelBundle').map((c) => c.params[0].replacementUuid);
+    expect(cancelled).to.have.members(sent(relay).map((b) => b.replacementUuid));
+    expect(executor.pendingBundles.size).to.equal(0);
+    expect(await executor.nonces.next()).to.equal(7);
+  });
+
+  it('gives up on a bundle that fails simulation', async () => {
+    relay = await startRelay({ eth_callBundle: () => ({ results: [{ error: 'execution reverted', revert: 'Too little received' }] }) });
+    const executor = privateExecutor(relay, stubChain());
+
+    let error;
+    await submit(executor).catch((err) => { error = err; });
+    expect(error.message).to.equal('Bundle simulation failed: execution reverted: Too little received');
+    expect(sent(relay)).to.have.length(0);
+    expect(relay.calls.every((c) => c.signed)).to.equal(true);
+  });
+
+  it('returns the receipt once the bundle is included', async () => {
+    const chain = stubChain();
+    relay = await startRelay({
+      eth_callBundle: SIM_OK,
+      eth_sendBundle: (bundle) => {
+        chain.mined.add(ethers.keccak256(bundle.txs[0]));
+        return { bundleHash: '0xb1' };
+      },
+    });
+    const executor = privateExecutor(relay, chain);
+
+    const trade   = await submit(executor);
+    const receipt = await trade.settled;
+    expect(receipt.hash).to.equal(trade.hash);
+    expect(executor.bundleStats).to.include({ submitted: 1, included: 1 });
+    expect(chain.broadcast).to.have.length(0);
+  });
+
+  it("gives up on a bundle that is not included with the 'none' fallback", async () => {
+    relay = await startRelay({ eth_callBundle: SIM_OK, eth_sendBundle: () => ({ bundleHash: '0xb1' }), flashbots_getBundleStats: () => ({}) });
+    const chain    = stubChain();
+    const executor = privateExecutor(relay, chain, { fallback: 'none' });
+
+    let error;
+    await (await submit(executor)).settled.catch((err) => { error = err; });
+    expect(error.message).to.match(/Bundle not included by block 102/);
+    expect(executor.bundleStats).to.include({ submitted: 1, notIncluded: 1 });
+    expect(relay.calls.map((c) => c.method)).to.include('flashbots_getBundleStats');
+    expect(chain.broadcast).to.have.length(0);
+    expect(await executor.nonces.next()).to.equal(7);
+  });
+
+  it("broadcasts a bundle that is not included with the 'public' fallback", async () => {
+    relay = await startRelay({ eth_callBundle: SIM_OK, eth_sendBundle: () => ({ bundleHash: '0xb1' }), flashbots_getBundleStats: () => ({}) });
+    const chain    = stubChain();
+    const executor = privateExecutor(relay, chain, { fallback: 'public' });
+
+    const trade   = await submit(executor);
+    const receipt = await trade.settled;
+    expect(chain.broadcast).to.have.length(1);
+    expect(receipt.hash).to.equal(trade.hash);
+    expect(executor.bundleStats.notIncluded).to.equal(1);
+    expect(await executor.nonces.next()).to.equal(8);
+  });
+});
+
+describe('simulationError', () => {
+  it('reports the first failed transaction of an eth_callBundle response', () => {
+    expect(simulationError({ result: { results: [{}, { error: 'execution reverted', revert: 'K' }] } })).to.equal('execution reverted: K');
+    expect(simulationError({ result: { results: [{ error: 'out of gas' }] } })).to.equal('out of gas');
+    expect(simulationError({ result: { results: [{}] } })).to.equal(null);
+  });
+});
+
+describe('FlashbotsProvider.getUserStats', () => {
+  let relay;
+  afterEach(() => relay?.close());
+
+  it('parses the signer reputation into flags and bigint amounts', async () => {
+    relay = await startRelay({
+      flashbots_getUserStats: () => ({
+        is_high_priority:        true,
+        all_time_miner_payments: '1280749594841588639',
+        all_time_gas_simulated:  '30049470846',
+        last_7d_miner_payments:  '1280749594841588639',
+        last_7d_gas_simulated:   '30049470846',
+        last_1d_miner_payments:  '142305510537954293',
+        last_1d_gas_simulated:   '2731770076',
+      }),
+    });
+    const flashbots = new FlashbotsProvider(null, ethers.Wallet.createRandom(), relay.url);
+
+    expect(await flashbots.getUserStats(101)).to.deep.equal({
+      isHighPriority:       true,
+      allTimeMinerPayments: 1280749594841588639n,
+      allTimeGasSimulated:  30049470846n,
+      last7dMinerPayments:  1280749594841588639n,
+      last7dGasSimulated:   30049470846n,
+      last1dMinerPayments:  142305510537954293n,
+      last1dGasSimulated:   2731770076n,
+    });
+    expect(relay.calls[0]).to.deep.equal({ method: 'flashbots_getUserStats', params: [{ blockNumber: '0x65' }], signed: true });
+  });
+
+  it('rejects a response without valid stats', async () => {
+    let stats = null;
+    relay = await startRelay({ flashbots_getUserStats: () => stats });
+    const flashbots = new FlashbotsProvider(null, ethers.Wallet.createRandom(), relay.url);
+
+    let error;
+    await flashbots.getUserStats(101).catch((err) => { error = err; });
+    expect(error.message).to.equal('flashbots_getUserStats: no stats in response');
+
+    stats = { is_high_priority: false, all_time_miner_payments: 'n/a' };
+    await flashbots.getUserStats(101).catch((err) => { error = err; });
+    expect(error.message).to.equal('flashbots_getUserStats: invalid all_time_miner_payments in response');
+  });
+});
+
+describe('loadFlashbotsAuthSigner', () => {
+  const trading = ethers.Wallet.createRandom();
+  const saved   = process.env.FLASHBOTS_AUTH_KEY;
+  let warnings;
+  const log = { log() {}, warn: (message) => warnings.push(message), error() {} };
+
+  beforeEach(() => { warnings = []; });
+  afterEach(() => {
+    if (saved === undefined) delete process.env.FLASHBOTS_AUTH_KEY;
+    else process.env.FLASHBOTS_AUTH_KEY = saved;
+  });
+
+  it('uses a random signer and warns when the key is missing or the placeholder', () => {
+    for (const key of [undefined, 'your_flashbots_auth_key_here']) {
+      if (key === undefined) delete process.env.FLASHBOTS_AUTH_KEY;
+      else process.env.FLASHBOTS_AUTH_KEY = key;
+      const signer = loadFlashbotsAuthSigner(trading, log);
+      expect(ethers.isAddress(signer.address)).to.equal(true);
+      expect(signer.address).to.not.equal(trading.address);
+    }
+    expect(warnings).to.have.length(2);
+    expect(warnings[0]).to.include('FLASHBOTS_AUTH_KEY not set');
+  });
+
+  it('loads the configured key', () => {
+    const auth = ethers.Wallet.createRandom();
+    process.env.FLASHBOTS_AUTH_KEY = auth.privateKey;
+    expect(loadFlashbotsAuthSigner(trading, log).address).to.equal(auth.address);
+    expect(warnings).to.be.empty;
+  });
+
+  it('refuses an invalid key', () => {
+    process.env.FLASHBOTS_AUTH_KEY = '0x1234';
+    expect(() => loadFlashbotsAuthSigner(trading, log)).to.throw(/^Invalid FLASHBOTS_AUTH_KEY: /);
+  });
+
+  it('refuses the trading key', () => {
+    process.env.FLASHBOTS_AUTH_KEY = trading.privateKey;
+    expect(() => loadFlashbotsAuthSigner(trading, log)).to.throw('FLASHBOTS_AUTH_KEY must be a separate key, not PRIVATE_KEY');
+  });
+});
@@ -0,0 +1,129 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { PoolMirror, applyLiquidityDelta } = require('../engine/mirror');
+
+const POOL = '0xC6962004f452bE9203591991D15f6b388e09E8D0';
+const events = new ethers.Interface([
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+  'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+  'event Sync(uint112 reserve0, uint112 reserve1)',
+]);
+
+/**
+ * A log of `POOL` emitting `name(args)` at [blockNumber, index].
+ */
+function log(name, args, blockNumber, index = 0, extra = {}) {
+  return { address: POOL, ...events.encodeEventLog(name, args), blockNumber, index, removed: false, ...extra };
+}
+
+const swap = (tick, blockNumber, index) => log('Swap', [
+  ethers.ZeroAddress, ethers.ZeroAddress, 1n, -1n, 2n ** 96n + BigInt(tick), 1000n + BigInt(tick), tick,
+], blockNumber, index);
+const mint = (tickLower, tickUpper, amount, blockNumber) => log('Mint', [
+  ethers.ZeroAddress, ethers.ZeroAddress, tickLower, tickUpper, amount, 0n, 0n,
+], blockNumber);
+
+// V3 pool at tick 0 with ticks loaded over [-600, 600]
+function v3State() {
+  return {
+    sqrtPriceX96: 2n ** 96n, tick: 0, liquidity: 1000n, fee: 500, tickSpacing: 10,
+    ticks: new Map([[-100, 1000n], [100, -1000n]]), tickLower: -600, tickUpper: 600,
+  };
+}
+
+function mirrorOf(data, seedBlock = 100) {
+  const mirror = new PoolMirror();
+  mirror.enabled = true;
+  mirror.seed(POOL, data, seedBlock);
+  return mirror;
+}
+
+describe('PoolMirror', () => {
+  const v3 = () => ({ token0: ethers.ZeroAddress, token1: ethers.ZeroAddress, state: v3State() });
+
+  it('applies a Swap inside the loaded tick range', () => {
+    const mirror = mirrorOf(v3());
+    expect(mirror.apply(swap(50, 101))).to.equal(true);
+    const { state } = mirror.get(POOL);
+    expect(state.tick).to.equal(50);
+    expect(state.sqrtPriceX96).to.equal(2n ** 96n + 50n);
+    expect(state.liquidity).to.equal(1050n);
+  });
+
+  it('drops the pool when a Swap leaves the loaded tick range', () => {
+    const mirror = mirrorOf(v3());
+    expect(mirror.apply(swap(700, 101))).to.equal(false);
+    expect(mirror.get(POOL)).to.equal(null);
+    expect(mirror.stats.invalidated).to.equal(1);
+  });
+
+  it('ignores logs at or before the seed block', () => {
+    const mirror = mirrorOf(v3(), 100);
+    expect(mirror.apply(swap(50, 99))).to.equal(false);
+    expect(mirror.apply(swap(50, 100, 7))).to.equal(false);
+    expect(mirror.get(POOL).state.tick).to.equal(0);
+    expect(mirror.apply(swap(50, 101))).to.equal(true);
+  });
+
+  it('ignores logs older than the last one applied', () => {
+    const mirror = mirrorOf(v3());
+    expect(mirror.apply(swap(50, 102, 3))).to.equal(true);
+    expect(mirror.apply(swap(20, 102, 1))).to.equal(false);
+    expect(mirror.apply(swap(20, 101, 9))).to.equal(false);
+    expect(mirror.apply(swap(50, 102, 3))).to.equal(false);
+    expect(mirror.get(POOL).state.tick).to.equal(50);
+    expect(mirror.apply(swap(60, 102, 4))).to.equal(true);
+  });
+
+  it('drops the pool on a removed (reorged-out) log', () => {
+    const mirror = mirrorOf(v3());
+    expect(mirror.apply({ ...swap(50, 101), removed: true })).to.equal(false);
+    expect(mirror.get(POOL)).to.equal(null);
+  });
+
+  it('applies a Mint to liquidity and ticks', () => {
+    const mirror = mirrorOf(v3());
+    expect(mirror.apply(mint(-20, 40, 500n, 101))).to.equal(true);
+    const { state } = mirror.get(POOL);
+    expect(state.liquidity).to.equal(1500n);
+    expect(state.ticks.get(-20)).to.equal(500n);
+    expect(state.ticks.get(40)).to.equal(-500n);
+  });
+
+  it('applies Sync reserves to a V2 pair', () => {
+    const mirror = mirrorOf({ token0: ethers.ZeroAddress, reserve0: 1n, reserve1: 2n });
+    expect(mirror.apply(log('Sync', [10n, 20n], 101))).to.equal(true);
+    expect(mirror.get(POOL)).to.include({ reserve0: 10n, reserve1: 20n });
+  });
+});
+
+describe('applyLiquidityDelta', () => {
+  it('adds in-range liquidity and both boundary ticks', () => {
+    const state = applyLiquidityDelta(v3State(), -50, 50, 300n);
+    expect(state.liquidity).to.equal(1300n);
+    expect(state.ticks.get(-50)).to.equal(300n);
+    expect(state.ticks.get(50)).to.equal(-300n);
+  });
+
+  it('leaves liquidity alone for a position above or below the price', () => {
+    const above = applyLiquidityDelta(v3State(), 100, 200, 300n);
+    expect(above.liquidity).to.equal(1000n);
+    expect(above.ticks.get(100)).to.equal(-700n);
+    expect(above.ticks.get(200)).to.equal(-300n);
+
+    // tickUpper is exclusive: the current tick 0 is outside [-100, 0)
+    const below = applyLiquidityDelta(v3State(), -100, 0, 300n);
+    expect(below.liquidity).to.equal(1000n);
+  });
+
+  it('skips boundary ticks outside the loaded range and clears zeroed ticks', () => {
+    const before = v3State();
+    const state  = applyLiquidityDelta(before, -100, 1000, -1000n);
+    expect(state.liquidity).to.equal(0n);
+    expect(state.ticks.has(-100)).to.equal(false);
+    expect(state.ticks.has(1000)).to.equal(false);
+    // The input state is not modified
+    expect(before.ticks.get(-100)).to.equal(1000n);
+    expect(before.liquidity).to.equal(1000n);
+  });
+});
@@ -0,0 +1,168 @@
+const { expect } = require('chai');
+const { NonceManager, bumpFees } = require('../engine/nonce');
+const { ArbExecutor } = require('../engine/executor');
+
+const GWEI = 10n ** 9n;
+const quiet = { log() {}, warn() {}, error() {} };
+
+/**
+ * Wallet whose provider mines the `n`-th transaction it is sent (1-based) one
+ * block after it arrives; every poll advances the chain one block. With
+ * `takenAt`, another sender uses nonce 7 from that block on; the send attempts
+ * numbered in `reject` (1-based) fail without reaching the chain.
+ */
+function stubWallet(mineNth, { takenAt = Infinity, reject = [] } = {}) {
+  const sent = [];
+  let attempts = 0;
+  let block = 100;
+  let mined = null;
+  const provider = {
+    getBlockNumber: async () => block,
+    getTransactionCount: async (_, tag) => (tag === 'latest' && (mined || block >= takenAt) ? 8 : 7),
+    getFeeData: async () => ({ maxFeePerGas: 20n * GWEI, maxPriorityFeePerGas: 1n * GWEI }),
+    getTransactionReceipt: async (hash) => {
+      block++;
+      if (!mined && sent.length >= mineNth && block > sent[mineNth - 1].block) mined = sent[mineNth - 1];
+      return mined?.hash === hash ? { hash, blockNumber: block, status: 1 } : null;
+    },
+  };
+  const wallet = {
+    address: '0x000000000000000000000000000000000000dead',
+    provider,
+    sent,
+    sendTransaction: async (tx) => {
+      if (reject.includes(++attempts)) throw new Error('replacement transaction underpriced');
+      const entry = { ...tx, hash: `0x${sent.length + 1}`, block };
+      sent.push(entry);
+      return entry;
+    },
+  };
+  return wallet;
+}
+
+describe('NonceManager', () => {
+  const request = { to: '0x000000000000000000000000000000000000beef', data: '0x1234', gasLimit: 500000n,
+    maxFeePerGas: 10n * GWEI, maxPriorityFeePerGas: 1n * GWEI };
+
+  it('hands out consecutive nonces from the pending count', async () => {
+    const nonces = new NonceManager(stubWallet(1), { logger: quiet });
+    expect([await nonces.next(), await nonces.next()]).to.deep.equal([7, 8]);
+    nonces.release(8);
+    expect(await nonces.next()).to.equal(8);
+  });
+
+  it('cancels a stuck transaction at the same nonce with bumped fees', async () => {
+    const wallet = stubWallet(2);
+    const nonces = new NonceManager(wallet, { logger: quiet, timeoutBlocks: 3, pollIntervalMs: 0 });
+    const pending = await nonces.send(request);
+    const receipt = await nonces.wait(pending);
+
+    expect(pending.state).to.equal('cancelled');
+    expect(receipt.hash).to.equal('0x2');
+    const [trade, cancel] = wallet.sent;
+    expect(cancel.nonce).to.equal(trade.nonce);
+    expect(cancel.to).to.equal(wallet.address);
+    expect(cancel.maxFeePerGas).to.equal(20n * GWEI); // network fee beats a 15% bump
+    expect(cancel.maxPriorityFeePerGas).to.equal(1150000000n);
+    expect(nonces.pending.size).to.equal(0);
+  });
+
+  it('replaces a stuck transaction with the same one at bumped fees', async () => {
+    const wallet = stubWallet(2);
+    const nonces = new NonceManager(wallet, { logger: quiet, stuckAction: 'replace', pollIntervalMs: 0 });
+    const pending = await nonces.send(request);
+    const receipt = await nonces.wait(pending);
+
+    expect(pending.state).to.equal('mined');
+    expect(receipt.hash).to.equal('0x2');
+    const [, replacement] = wallet.sent;
+    expect(replacement).to.include({ nonce: 7, to: request.to, data: request.data, gasLimit: request.gasLimit });
+    expect(replacement.maxPriorityFeePerGas).to.equal(1150000000n);
+  });
+
+  it('keeps the sent fees and retries when a replacement is rejected', async () => {
+    const wallet = stubWallet(2, { reject: [2] });
+    const nonces = new NonceManager(wallet, { logger: quiet, stuckAction: 'replace', pollIntervalMs: 0 });
+    const pending = await nonces.send(request);
+    const receipt = await nonces.wait(pending);
+
+    expect(receipt.hash).to.equal('0x2');
+    expect(pending.replacements).to.equal(1);
+    // Bumped once from the original, not from the rejected attempt
+    expect(wallet.sent[1].maxPriorityFeePerGas).to.equal(1150000000n);
+    expect(pending.fees.maxPriorityFeePerGas).to.equal(1150000000n);
+  });
+
+  it('gives up when the nonce is taken by another transaction', async () => {
+    const wallet = stubWallet(Infinity, { takenAt: 102 });
+    const nonces = new NonceManager(wallet, { logger: quiet, pollIntervalMs: 0 });
+    const pending = await nonces.send(request);
+
+    let error;
+    await nonces.wait(pending).catch((err) => { error = err; });
+    expect(error.message).to.match(/Nonce 7 used by another transaction/);
+    expect(pending.state).to.equal('dropped');
+    expect(nonces.nextNonce).to.equal(null);
+  });
+
+  it('abandons a nonce once its replacements run out and resyncs', async () => {
+    const wallet = stubWallet(Infinity);
+    const nonces = new NonceManager(wallet, { logger: quiet, timeoutBlocks: 2, maxReplacements: 2, pollIntervalMs: 0 });
+    const pending = await nonces.send(request);
+
+    let error;
+    await nonces.wait(pending).catch((err) => { error = err; });
+    expect(error.message).to.match(/still pending after 2 replacements/);
+    expect(pending.state).to.equal('abandoned');
+    expect(wallet.sent).to.have.length(3);
+    expect(nonces.pending.size).to.equal(0);
+    expect(nonces.nextNonce).to.equal(null);
+  });
+
+  it('bumps legacy gas prices', () => {
+    expect(bumpFees({ gasPrice: 5n * GWEI }, { gasPrice: 1n * GWEI }, 10).gasPrice).to.equal(5500000000n);
+  });
+});
+
+describe('ArbExecutor', () => {
+  const WETH = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+  const USDC = '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8';
+  const params = { tokenBorrow: WETH, tokenIntermediate: USDC, amountOutMin1: 0n, amountOutMin2: 0n };
+
+  it('returns once sent and keeps the pair busy until the tx settles', async () => {
+    const wallet   = stubWallet(2);
+    const executor = new ArbExecutor(wallet, '0x000000000000000000000000000000000000beef', {}, {
+      logger: quiet, nonce: { pollIntervalMs: 0 },
+    });
+    executor.encodeArbParams = () => '0x';
+    executor.simulate = async () => ({ ok: true, profit: 1n, error: null });
+
+    const trade = await executor.execute({ tokenA: WETH, tokenB: USDC }, 10n ** 18n, params, { gasLimit: 500000n });
+    expect(trade.hash).to.equal('0x1');
+    expect(executor.accepts({ tokenA: USDC, tokenB: WETH })).to.equal(false);
+
+    let error;
+    await trade.settled.catch((err) => { error = err; });
+    expect(error.message).to.match(/cancelled/);
+    expect(executor.accepts({ tokenA: WETH, tokenB: USDC })).to.equal(true);
+  });
+
+  it('checks at startup that the RPC can trace calls', async () => {
+    const wallet   = stubWallet(1);
+    const executor = new ArbExecutor(wallet, '0x000000000000000000000000000000000000beef', {}, { logger: quiet });
+    const calls    = [];
+    wallet.provider.send = async (method, params) => {
+      calls.push([method, params]);
+      return { type: 'CALL', from: wallet.address, to: wallet.address };
+    };
+    await executor.checkTraceSupport();
+    expect(calls.map(([method]) => method)).to.deep.equal(['debug_traceCall']);
+
+    wallet.provider.send = async () => {
+      throw Object.assign(new Error('rpc error'), { error: { code: -32601, message: 'the method debug_traceCall does not exist' } });
+    };
+    let error;
+    await executor.checkTraceSupport().catch((err) => { error = err; });
+    expect(error.message).to.match(/RPC does not support debug_traceCall.*does not exist/);
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { PoolRegistry, NO_POOL_TTL_MS } = require('../engine/pools');
+const { Multicall } = require('../engine/multicall');
+
+const WETH = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+const USDC = '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8';
+const ARB  = '0x912CE59144191C1204E64559FE8253a0e49E6548';
+const POOL = '0xC6962004f452bE9203591991D15f6b388e09E8D0';
+const FACTORY = '0x1F98431c8aD98523631AE4a59f267346ea31F984';
+
+const factoryIface = new ethers.Interface([
+  'function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)',
+]);
+
+/**
+ * Read-only runner answering getPool from `pools` (sorted "tokenA:tokenB:fee" → address).
+ */
+function stubFactory(pools) {
+  const runner = {
+    lookups: 0,
+    call: async (tx) => {
+      runner.lookups++;
+      const [a, b, fee] = factoryIface.decodeFunctionData('getPool', tx.data);
+      const key = [a.toLowerCase(), b.toLowerCase()].sort().join(':') + `:${fee}`;
+      return factoryIface.encodeFunctionResult('getPool', [pools[key] ?? ethers.ZeroAddress]);
+    },
+  };
+  return runner;
+}
+
+describe('PoolRegistry', () => {
+  const pools = { [[WETH.toLowerCase(), USDC.toLowerCase()].sort().join(':') + ':500']: POOL };
+  let cacheDir;
+  const registry = (reader) => {
+    const r = new PoolRegistry(null, { chainId: 42161 }, { reader, cacheDir });
+    r.addFactory('uniswapV3', 'v3', FACTORY);
+    return r;
+  };
+
+  beforeEach(() => { cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pools-')); });
+  afterEach(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+  it('persists found pools and serves them from the cache after a restart', async () => {
+    const first = stubFactory(pools);
+    expect(await registry(first).pool('uniswapV3', USDC, WETH, 500)).to.equal(POOL);
+
+    const second = stubFactory(pools);
+    const restarted = registry(second);
+    expect(await restarted.pool('uniswapV3', WETH, USDC, 500)).to.equal(POOL);
+    expect(second.lookups).to.equal(0);
+    expect(restarted.known(USDC, WETH)).to.deep.equal([POOL]);
+  });
+
+  it('keeps "no pool" answers out of the cache file and re-checks them', async () => {
+    const reader = stubFactory(pools);
+    const reg = registry(reader);
+    expect(await reg.pool('uniswapV3', WETH, ARB, 3000)).to.equal(null);
+    expect(await reg.pool('uniswapV3', WETH, ARB, 3000)).to.equal(null);
+    expect(reader.lookups).to.equal(1);
+
+    const key = reg.missing.keys().next().value;
+    reg.missing.set(key, Date.now() - NO_POOL_TTL_MS - 1);
+    await reg.pool('uniswapV3', WETH, ARB, 3000);
+    expect(reader.lookups).to.equal(2);
+
+    await reg.pool('uniswapV3', WETH, USDC, 500);
+    const cached = JSON.parse(fs.readFileSync(path.join(cacheDir, 'pools-42161.json'), 'utf8'));
+    expect(Object.values(cached)).to.deep.equal([POOL]);
+  });
+});
+
+describe('Multicall', () => {
+  const multicallIface = new ethers.Interface([
+    'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) external view returns (tuple(bool success, bytes returnData)[] returnData)',
+  ]);
+  const erc20 = ['function decimals() view returns (uint8)'];
+  const erc20Iface = new ethers.Interface(erc20);
+
+  const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+  let requests;
+  const provider = {
+    call: async (tx) => {
+      const [calls] = multicallIface.decodeFunctionData('aggregate3', tx.data);
+      requests.push(calls);
+      const results = calls.map((c) => {
+        if (c.target === MULTICALL3) return [true, ethers.toBeHex(1234, 32)];
+        if (c.target === WETH) return [true, erc20Iface.encodeFunctionResult('decimals', [18])];
+        return [false, '0x'];
+      });
+      return multicallIface.encodeFunctionResult('aggregate3', [results]);
+    },
+  };
+
+  beforeEach(() => { requests = []; });
+
+  it('batches a turn of calls into one aggregate3 and fails only the reverting call', async () => {
+    const multicall = new Multicall(provider, MULTICALL3);
+    const read = (address) => new ethers.Contract(address, erc20, multicall).decimals();
+
+    const [ok, failed] = await Promise.allSettled([read(WETH), read(USDC)]);
+    expect(ok.value).to.equal(18n);
+    expect(failed.reason.code).to.equal('CALL_EXCEPTION');
+    expect(requests).to.have.length(1);
+    expect(requests[0].every((c) => c.allowFailure)).to.equal(true);
+    expect(multicall.stats).to.deep.equal({ batches: 1, calls: 2 });
+  });
+
+  it('dates a batch with the block number read inside it', async () => {
+    const multicall = new Multicall(provider, MULTICALL3);
+    const decimals  = new ethers.Contract(WETH, erc20, multicall).decimals();
+    expect(await Promise.all([decimals, multicall.blockNumber()])).to.deep.equal([18n, 1234]);
+    expect(requests).to.have.length(1);
+  });
+});
@@ -0,0 +1,84 @@
+const { expect } = require('chai');
+const { Price } = require('../engine/price');
+
+// Ethereum mainnet tokens; USDC sorts before WETH, so it is token0 of their pools
+const USDC = { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6, symbol: 'USDC' };
+const WETH = { address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18, symbol: 'WETH' };
+const DAI  = { address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', decimals: 18, symbol: 'DAI' };
+
+const Q96 = 2n ** 96n;
+
+describe('Price', () => {
+  // ETH at 2500 USDC: 1e18 raw WETH per 2.5e9 raw USDC = 4e8 = 20000^2
+  const v3 = Price.fromSqrtPriceX96(USDC, WETH, 20000n * Q96);
+  // 2000 WETH / 5,000,000 USDC pair: also ETH at 2500 USDC
+  const v2 = Price.fromReserves(WETH, USDC, 2000n * 10n ** 18n, 5_000_000n * 10n ** 6n);
+
+  describe('construction', () => {
+    it('reads a V3 sqrtPriceX96 as token1 per token0', () => {
+      expect(v3.base).to.equal(USDC);
+      expect(v3.quote).to.equal(WETH);
+      expect(v3.toSignificant(6)).to.equal('0.0004');
+    });
+
+    it('reads V2 reserves as quote per base', () => {
+      expect(v2.toSignificant(6)).to.equal('2500');
+      expect(v2.quoteAmount(10n ** 18n)).to.equal(2500n * 10n ** 6n);
+    });
+
+    it('reads a swap probe as amountOut per amountIn', () => {
+      const curve = Price.fromAmounts(USDC, DAI, 10n ** 6n, 999_800_000_000_000_000n);
+      expect(curve.toFixed(4)).to.equal('0.9998');
+    });
+
+    it('rejects a zero denominator', () => {
+      expect(() => new Price(USDC, WETH, 1n, 0n)).to.throw(RangeError);
+    });
+  });
+
+  describe('cross-venue comparison', () => {
+    it('treats a V3 and a V2 price of the same pair as equal across decimals and orientation', () => {
+      expect(v3.equals(v2)).to.equal(true);
+      expect(v2.compare(v3)).to.equal(0);
+      expect(v3.orient(WETH).toFixed(2)).to.equal('2500.00');
+    });
+
+    it('measures the spread in basis points of the other price', () => {
+      const rich = Price.fromReserves(WETH, USDC, 2000n * 10n ** 18n, 5_020_000n * 10n ** 6n); // 2510
+      expect(rich.compare(v3)).to.equal(1);
+      expect(rich.spreadBps(v3)).to.equal(40);
+      expect(v3.orient(WETH).spreadBps(rich)).to.equal(-39);
+    });
+
+    it('refuses to compare prices of different pairs', () => {
+      const dai = Price.fromAmounts(USDC, DAI, 10n ** 6n, 10n ** 18n);
+      expect(() => v3.compare(dai)).to.throw('different pairs');
+    });
+  });
+
+  describe('formatting', () => {
+    const raw = (numerator, denominator) =>
+      new Price({ address: '0x01', decimals: 0 }, { address: '0x02', decimals: 0 }, numerator, denominator);
+
+    it('rounds to significant digits', () => {
+      expect(raw(1n, 3n).toSignificant(6)).to.equal('0.333333');
+      expect(raw(2n, 3n).toSignificant(3)).to.equal('0.667');
+      expect(raw(123456789n, 1n).toSignificant(6)).to.equal('123457000');
+      expect(raw(1n, 1_000_000n).toSignificant(6)).to.equal('0.000001');
+    });
+
+    it('carries rounding into a new digit', () => {
+      expect(raw(99_999_999n, 10_000_000n).toSignificant(6)).to.equal('10');
+    });
+
+    it('rounds to fixed decimal places', () => {
+      expect(raw(2n, 3n).toFixed(4)).to.equal('0.6667');
+      expect(raw(5n, 2n).toFixed(0)).to.equal('3');
+    });
+
+    it('labels the quote and base tokens', () => {
+      expect(v2.toString()).to.equal('2500 USDC/WETH');
+      expect(v2.toNumber()).to.equal(2500);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const { expect } = require('chai');
+const { ProfitCalculator } = require('../engine/profit');
+
+const WETH = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+const USDC = '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8';
+const ARB  = '0x912CE59144191C1204E64559FE8253a0e49E6548';
+
+/**
+ * Calculator pricing WETH at $2000 and USDC at $1 (8-decimal oracle), with a
+ * 5 bps flash-loan premium.
+ */
+function calculator() {
+  const prices   = { [WETH]: 2000n * 10n ** 8n, [USDC]: 10n ** 8n, [ARB]: 0n };
+  const decimals = { [WETH]: 18, [USDC]: 6, [ARB]: 18 };
+  const profits  = new ProfitCalculator(null, { weth: WETH }, { decimals: async (t) => decimals[t] }, {
+    premiumBps: async () => 5n,
+  });
+  profits.oracle = { getAssetPrice: async (t) => prices[t] };
+  profits.baseCurrencyUnit = 10n ** 8n;
+  return profits;
+}
+
+describe('ProfitCalculator.evaluate', () => {
+  // Borrow 10 WETH, buy 20,100 USDC on Uniswap V3 (0.05%), sell them on a
+  // Camelot pair (WETH = token0) for 10.05 WETH
+  const opportunity = {
+    tokenA:             WETH,
+    tokenB:             USDC,
+    buy:                { source: 'uniswapV3', fee: 500 },
+    sell:               { source: 'camelot', token0: WETH, feeBps: 30, feeBps1: 20 },
+    amountIntermediate: 20_100n * 10n ** 6n,
+    expectedOut:        1005n * 10n ** 16n,
+  };
+  const loan = 10n * 10n ** 18n;
+
+  it('charges each leg its fee on its own input', async () => {
+    const pnl = await calculator().evaluate(opportunity, loan, 400000n, { gasPrice: 10n ** 9n });
+    // 0.05% of 10 WETH, plus 0.2% (USDC → WETH direction) of 20,100 USDC = 40.2 USDC = 0.0201 WETH
+    expect(pnl.dexFees).to.equal(5n * 10n ** 15n + 201n * 10n ** 14n);
+    expect(pnl.grossProfit).to.equal(5n * 10n ** 16n);
+    expect(pnl.premium).to.equal(5n * 10n ** 15n);
+    expect(pnl.gasCost).to.equal(4n * 10n ** 14n);
+    expect(pnl.netProfit).to.equal(5n * 10n ** 16n - 5n * 10n ** 15n - 4n * 10n ** 14n);
+  });
+
+  it('uses the token0 → token1 fee when the sell leg sells token0', async () => {
+    const sell = { ...opportunity.sell, token0: USDC };
+    const pnl  = await calculator().evaluate({ ...opportunity, sell }, loan, 0n, { gasPrice: 0n });
+    // 0.3% of 20,100 USDC = 60.3 USDC = 0.03015 WETH
+    expect(pnl.dexFees).to.equal(5n * 10n ** 15n + 3015n * 10n ** 13n);
+  });
+
+  it('reports the fees as unknown when the intermediate token has no oracle price', async () => {
+    const pnl = await calculator().evaluate({ ...opportunity, tokenB: ARB }, loan, 400000n, { gasPrice: 10n ** 9n });
+    expect(pnl.dexFees).to.equal(null);
+    expect(pnl.netProfit).to.equal(5n * 10n ** 16n - 5n * 10n ** 15n - 4n * 10n ** 14n);
+  });
+});
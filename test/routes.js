@@ -0,0 +1,77 @@
+const { expect } = require('chai');
+const { RouteFinder } = require('../engine/routes');
+
+const WETH = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+const USDC = '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8';
+const DAI  = '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1';
+
+/**
+ * Constant-product venue holding `reserveA` of tokenA and `reserveB` of tokenB
+ * (no fee, so the spot rate is the reserve ratio).
+ */
+function venue(source, tokenA, tokenB, reserveA, reserveB) {
+  return { source, token0: tokenA, reserve0: reserveA, reserve1: reserveB, feeBps: 0 };
+}
+
+function rate(v, tokenIn) {
+  const zeroForOne = v.token0.toLowerCase() === tokenIn.toLowerCase();
+  return zeroForOne ? [v.reserve0, v.reserve1] : [v.reserve1, v.reserve0];
+}
+
+/**
+ * Scanner holding the latest venues per pair; quotes are linear at spot.
+ */
+function stubScanner(pairs) {
+  const venues = new Map(pairs.map(({ tokenA, tokenB, venues: v }) => [`${tokenA.toLowerCase()}/${tokenB.toLowerCase()}`, v]));
+  return {
+    venues,
+    spotRate: (v, tokenIn) => {
+      const [reserveIn, reserveOut] = rate(v, tokenIn);
+      return Number(reserveOut) / Number(reserveIn);
+    },
+    quoteExactIn: async (v, tokenIn, amountIn) => {
+      const [reserveIn, reserveOut] = rate(v, tokenIn);
+      return { amountOut: (amountIn * reserveOut) / reserveIn, priceImpactBps: 1 };
+    },
+  };
+}
+
+describe('RouteFinder', () => {
+  // WETH → USDC → DAI → WETH returns 2% at spot; the reverse direction loses it
+  const pairs = [
+    { tokenA: WETH, tokenB: USDC, venues: [venue('sushiswap', WETH, USDC, 1000n, 2_000_000n), venue('camelot', WETH, USDC, 1000n, 1_990_000n)] },
+    { tokenA: USDC, tokenB: DAI,  venues: [venue('uniswapV2', USDC, DAI, 1_000_000n, 1_020_000n)] },
+    { tokenA: DAI,  tokenB: WETH, venues: [venue('sushiswap', DAI, WETH, 2_000_000n, 1000n)] },
+  ];
+
+  it('enumerates the negative cycle through the start token', () => {
+    const finder = new RouteFinder(stubScanner(pairs));
+    const cycles = finder.negativeCycles(finder.buildGraph(pairs), WETH);
+
+    expect(cycles).to.have.length(1);
+    expect(cycles[0].edges.map((e) => e.tokenOut)).to.deep.equal([USDC, DAI, WETH]);
+    expect(Math.exp(-cycles[0].weight)).to.be.closeTo(1.02, 1e-9);
+    // The same cycle is found from every token on it
+    expect(finder.negativeCycles(finder.buildGraph(pairs), DAI)).to.have.length(1);
+  });
+
+  it('leaves two-hop cycles to the pairwise scan', () => {
+    // Buying on one venue and selling on the other is a negative 2-hop cycle
+    const mispriced = [{ tokenA: WETH, tokenB: USDC, venues: [venue('sushiswap', WETH, USDC, 1000n, 2_000_000n), venue('camelot', WETH, USDC, 1000n, 1_900_000n)] }];
+    const finder = new RouteFinder(stubScanner(mispriced));
+    expect(finder.negativeCycles(finder.buildGraph(mispriced), WETH)).to.deep.equal([]);
+  });
+
+  it('quotes each hop on its best venue and keeps routes above the threshold', async () => {
+    const finder = new RouteFinder(stubScanner(pairs));
+    const amountIn = 10n ** 18n;
+    const [route]  = await finder.findRoutes(pairs, [{ token: WETH, amountIn }], 100);
+
+    expect(route.tokens).to.deep.equal([WETH, USDC, DAI, WETH]);
+    expect(route.hops.map((h) => h.venue.source)).to.deep.equal(['sushiswap', 'uniswapV2', 'sushiswap']);
+    expect(route.expectedOut).to.equal(102n * 10n ** 16n);
+    expect(route).to.include({ tokenBorrow: WETH, profitBps: 200, spotProfitBps: 200, priceImpactBps: 3 });
+
+    expect(await finder.findRoutes(pairs, [{ token: WETH, amountIn }], 201)).to.deep.equal([]);
+  });
+});
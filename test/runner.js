@@ -0,0 +1,195 @@
+const { expect } = require('chai');
+const { ChainRunner, startRunners } = require('../engine/runner');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+const pair = (tokenA, tokenB) => ({ tokenA, tokenB });
+const PAIRS = [
+  pair('0x00000000000000000000000000000000000000a1', '0x00000000000000000000000000000000000000b1'),
+  pair('0x00000000000000000000000000000000000000a2', '0x00000000000000000000000000000000000000b2'),
+  pair('0x00000000000000000000000000000000000000a3', '0x00000000000000000000000000000000000000b3'),
+];
+const key  = ({ tokenA, tokenB }) => `${tokenA}/${tokenB}`;
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Runner over PAIRS whose scans stay pending until released: `scans` records
+ * the pairs of each scan and `release()` finishes the oldest pending one.
+ */
+function scanningRunner() {
+  const runner  = new ChainRunner('arbitrum', {}, {}, { forChain: () => quiet }, { pairs: () => PAIRS });
+  const pending = [];
+  Object.assign(runner, { scans: [], running: 0, maxRunning: 0 });
+  runner.scan = async (pairs) => {
+    runner.scans.push(pairs.map(key));
+    runner.maxRunning = Math.max(runner.maxRunning, ++runner.running);
+    await new Promise((resolve) => pending.push(resolve));
+    runner.running--;
+  };
+  runner.release = async () => {
+    pending.shift()();
+    await tick();
+  };
+  return runner;
+}
+
+describe('ChainRunner scan scheduling', () => {
+  it('merges triggers fired during a scan into one follow-up scan', async () => {
+    const runner = scanningRunner();
+    const first  = runner.requestScan([key(PAIRS[0])]);
+    await tick();
+
+    expect(runner.requestScan([key(PAIRS[1])])).to.equal(first);
+    runner.requestScan([key(PAIRS[2])]);
+    runner.requestScan([key(PAIRS[1])]);
+    expect(runner.scans).to.have.length(1);
+
+    await runner.release();
+    expect(runner.scans).to.deep.equal([[key(PAIRS[0])], [key(PAIRS[1]), key(PAIRS[2])]]);
+    await runner.release();
+    await first;
+
+    expect(runner.scans).to.have.length(2);
+    expect(runner.maxRunning).to.equal(1);
+    expect(runner.inFlight).to.equal(null);
+  });
+
+  it('widens the follow-up scan to every pair when a full scan is requested', async () => {
+    const runner = scanningRunner();
+    const first  = runner.requestScan([key(PAIRS[0])]);
+    await tick();
+    runner.requestScan([key(PAIRS[1])]);
+    runner.requestScan();
+
+    await runner.release();
+    await runner.release();
+    await first;
+    expect(runner.scans).to.deep.equal([[key(PAIRS[0])], PAIRS.map(key)]);
+  });
+
+  it('starts a new scan once the previous one has settled', async () => {
+    const runner = scanningRunner();
+    const first  = runner.requestScan();
+    await tick();
+    await runner.release();
+    await first;
+
+    const second = runner.requestScan([key(PAIRS[2])]);
+    expect(second).to.not.equal(first);
+    await tick();
+    await runner.release();
+    await second;
+    expect(runner.scans).to.deep.equal([PAIRS.map(key), [key(PAIRS[2])]]);
+  });
+});
+
+describe('startRunners', () => {
+  const reporter = () => {
+    const errors = [];
+    return { errors, write: (level, chain, message) => errors.push({ level, chain, message }) };
+  };
+  // Starts after `ms`; `stopped` records whether the runner was torn down
+  const healthy = (chainName, ms = 0) => ({
+    chainName,
+    stopped: false,
+    start:   () => new Promise((resolve) => setTimeout(resolve, ms)),
+    stop()   { this.stopped = true; },
+  });
+
+  it('keeps the other chains running when one fails to start', async () => {
+    const out     = reporter();
+    // No RPC_POLYGON_TEST in the environment, so this chain fails in start()
+    const broken  = new ChainRunner('polygon', { name: 'Polygon', rpcEnv: 'RPC_POLYGON_TEST' }, {}, { forChain: () => quiet }, { pairs: () => [] });
+    const running = [healthy('ethereum', 10), healthy('arbitrum')];
+
+    const started = await startRunners([running[0], broken, running[1]], out);
+    expect(started).to.have.members(running);
+    expect(running.map((r) => r.stopped)).to.deep.equal([false, false]);
+    expect(out.errors).to.deep.equal([
+      { level: 'error', chain: 'polygon', message: 'Failed to start: Missing env var: RPC_POLYGON_TEST' },
+    ]);
+  });
+
+  it('reports every chain and starts none when all of them fail', async () => {
+    const out     = reporter();
+    const failing = ['ethereum', 'arbitrum'].map((chainName) => ({
+      ...healthy(chainName),
+      start: async () => { throw new Error(`${chainName} RPC down`); },
+    }));
+
+    expect(await startRunners(failing, out)).to.deep.equal([]);
+    expect(out.errors.map((e) => e.message)).to.have.members(['Failed to start: ethereum RPC down', 'Failed to start: arbitrum RPC down']);
+    expect(failing.every((r) => r.stopped)).to.equal(true);
+  });
+});
+
+describe('ChainRunner.quotePair', () => {
+  const USDC = { address: '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8', decimals: 6, symbol: 'USDC', flags: [] };
+  const WETH = { address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', decimals: 18, symbol: 'WETH', flags: [] };
+  const meta = { [USDC.address]: USDC, [WETH.address]: WETH };
+  // $1 per USDC, $2000 per WETH, in 8-decimal oracle units
+  const price = { [USDC.address]: 10n ** 8n, [WETH.address]: 2000n * 10n ** 8n };
+
+  /**
+   * Runner pricing the pair's round trips per borrowed token: borrowing `token`
+   * earns 1% gross on the loan, eroded by price impact so that the gross
+   * optimum is `peaks[token]` (in that token's units).
+   */
+  function quotingRunner(peaks) {
+    const runner = new ChainRunner('arbitrum', {}, { loanAmount: '10000', minProfitBps: 1, minProfitUsd: 0 },
+      { forChain: () => quiet }, { pairs: () => [], loanLimit: () => null });
+    const probes = {};
+    runner.tokens  = { resolveTradable: async (address) => meta[address] };
+    runner.aave    = {
+      unavailableReason:  async () => null,
+      premiumBps:         async () => 5n,
+      availableLiquidity: async () => 10n ** 30n,
+    };
+    runner.profits = {
+      convert: async (amount, from, to) => (amount * price[from] * 10n ** BigInt(meta[to].decimals)) /
+        (price[to] * 10n ** BigInt(meta[from].decimals)),
+      toUsd: async (amount, token) => Number((amount * price[token]) / 10n ** BigInt(meta[token].decimals)) / 1e8,
+    };
+    runner.scanner = {
+      rejected:   new Map(),
+      scanVenues: async () => [],
+      findArbitrageOpportunities: async (borrow, other, minProfitBps, probe) => {
+        probes[borrow] = probe;
+        return [{ tokenA: borrow, tokenB: other, buy: { source: 'uniswapV3' }, sell: { source: 'sushiswap' } }];
+      },
+      simulateRoundTrip: async (buy, sell, borrow, other, amountIn) => {
+        const peak   = peaks[borrow];
+        const profit = amountIn / 100n - (amountIn * amountIn) / (200n * peak);
+        return { amountIntermediate: amountIn, amountOut: amountIn + profit, profit, profitBps: 0, priceImpactBps: 0 };
+      },
+    };
+    return { runner, probes };
+  }
+
+  it('borrows the second token when it nets more in USD', async () => {
+    // Best USDC loan earns ~$20, best WETH loan ~0.02 WETH = ~$40
+    const { runner, probes } = quotingRunner({ [USDC.address]: 4000n * 10n ** 6n, [WETH.address]: 4n * 10n ** 18n });
+    const quoted = await runner.quotePair({ tokenA: USDC.address, tokenB: WETH.address });
+
+    expect(quoted.best.tokenA).to.equal(WETH.address);
+    expect([quoted.metaA, quoted.metaB]).to.deep.equal([WETH, USDC]);
+    // Both orientations were sized: LOAN_AMOUNT (10,000 USDC) is worth 5 WETH,
+    // so each side probes at 1/64 of its own risk limit
+    expect(probes).to.deep.equal({
+      [USDC.address]: (10_000n * 10n ** 6n) / 64n,
+      [WETH.address]: (5n * 10n ** 18n) / 64n,
+    });
+    expect(quoted.loanAmount <= 5n * 10n ** 18n).to.equal(true);
+    expect(quoted.loanAmount > 3n * 10n ** 18n).to.equal(true);
+  });
+
+  it('borrows the first token when it nets more in USD', async () => {
+    // Best USDC loan earns ~$40, best WETH loan ~0.005 WETH = ~$10
+    const { runner } = quotingRunner({ [USDC.address]: 8000n * 10n ** 6n, [WETH.address]: 1n * 10n ** 18n });
+    const quoted = await runner.quotePair({ tokenA: USDC.address, tokenB: WETH.address });
+
+    expect(quoted.best.tokenA).to.equal(USDC.address);
+    expect([quoted.metaA, quoted.metaB]).to.deep.equal([USDC, WETH]);
+    expect(quoted.loanAmount <= 10_000n * 10n ** 6n).to.equal(true);
+  });
+});
@@ -0,0 +1,76 @@
+const { expect } = require('chai');
+const { Price } = require('../engine/price');
+const { PoolScanner, screenVenues } = require('../engine/scanner');
+
+const USDC = { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6, symbol: 'USDC' };
+const WETH = { address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18, symbol: 'WETH' };
+
+// A V2 pair holding 1 WETH against `usdc` raw USDC units
+const pair = (name, usdc) => ({
+  pair:   name,
+  source: 'sushiswap',
+  price:  Price.fromReserves(WETH, USDC, 10n ** 18n, usdc),
+});
+
+describe('screenVenues', () => {
+  const a = pair('a', 2500n * 10n ** 6n);
+  const b = pair('b', 2510n * 10n ** 6n);
+  const c = pair('c', 2490n * 10n ** 6n);
+  // Reserves read as if USDC had 18 decimals: 10^12 too cheap
+  const broken = pair('broken', 2500n);
+
+  it('keeps venues that agree within the threshold', () => {
+    const { venues, rejected } = screenVenues([a, b, c], 1000);
+    expect(venues).to.have.members([a, b, c]);
+    expect(rejected).to.be.empty;
+  });
+
+  it('drops a venue far from the median and reports its spread', () => {
+    const { venues, rejected } = screenVenues([a, broken, b], 1000);
+    expect(venues).to.have.members([a, b]);
+    expect(rejected).to.have.length(1);
+    expect(rejected[0].venue).to.equal(broken);
+    expect(rejected[0].spreadBps).to.equal(-9999);
+    expect(rejected[0].reference.equals(a.price)).to.equal(true);
+  });
+
+  it('drops both venues of a pair that disagree with no majority', () => {
+    const { venues, rejected } = screenVenues([a, broken], 1000);
+    expect(venues).to.be.empty;
+    expect(rejected.map((r) => r.venue)).to.have.members([a, broken]);
+  });
+
+  it('drops a zero price quoted the other way round without failing the screen', () => {
+    // A drained pair read as USDC/WETH: no WETH left, so the price is zero
+    const drained = { pair: 'drained', source: 'uniswapV2', price: Price.fromReserves(USDC, WETH, 10n ** 6n, 0n) };
+    const { venues, rejected } = screenVenues([a, drained, b], 1000);
+    expect(venues).to.have.members([a, b]);
+    expect(rejected).to.have.length(1);
+    expect(rejected[0]).to.include({ venue: drained, spreadBps: -10000 });
+  });
+
+  it('leaves a single venue alone', () => {
+    expect(screenVenues([broken], 1000).venues).to.deep.equal([broken]);
+  });
+});
+
+describe('PoolScanner.scanVenues', () => {
+  const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+  it('logs a venue whose discovery fails and keeps scanning the others', async () => {
+    const warnings = [];
+    const scanner  = new PoolScanner(null, { chainId: 1, multicall3: MULTICALL3, venues: {} }, null, {
+      logger: { warn: (message) => warnings.push(message) },
+    });
+    const good = pair('good', 2500n * 10n ** 6n);
+    scanner.adapters = new Map([
+      ['sushiswap', { kind: 'v2', dexId: 2, discover: async () => [good] }],
+      ['uniswapV3', { kind: 'v3', dexId: 1, discover: async () => { throw new Error('missing response'); } }],
+    ]);
+
+    const venues = await scanner.scanVenues(WETH.address, USDC.address);
+    expect(venues.map((v) => v.pair)).to.deep.equal(['good']);
+    expect(warnings).to.have.length(1);
+    expect(warnings[0]).to.include('uniswapV3').and.include(`${WETH.address}/${USDC.address}`).and.include('missing response');
+  });
+});
@@ -0,0 +1,69 @@
+const { expect } = require('chai');
+const { optimizeLoanSize, loanCap, probeAmount } = require('../engine/sizing');
+
+const e18 = 10n ** 18n;
+
+/**
+ * Scanner whose round trip earns `profit(amountIn)`, or cannot fill sizes
+ * where it returns null.
+ */
+function stubScanner(profit) {
+  return {
+    calls: 0,
+    async simulateRoundTrip(buy, sell, tokenA, tokenB, amountIn) {
+      this.calls++;
+      const p = profit(amountIn);
+      return p === null ? null : { amountIntermediate: amountIn, amountOut: amountIn + p, profit: p };
+    },
+  };
+}
+const opportunity = { buy: {}, sell: {}, tokenA: 'WETH', tokenB: 'USDC' };
+
+describe('optimizeLoanSize', () => {
+  it('converges on the peak of a concave profit curve', async () => {
+    // profit = x - x²/(2·peak): the gross optimum is `peak`, net of a 9 bps
+    // premium it is peak·(1 - 0.0009)
+    const peak    = 3n * e18 / 10n;
+    const scanner = stubScanner((x) => x - (x * x) / (2n * peak));
+    const result  = await optimizeLoanSize(scanner, opportunity, { maxAmount: 2n * e18, premiumBps: 9n });
+
+    const optimum = peak * 9991n / 10000n;
+    const error   = result.amountIn > optimum ? result.amountIn - optimum : optimum - result.amountIn;
+    expect(Number(error * 10000n / optimum)).to.be.at.most(1); // within 0.01%
+    expect(result.netProfit > 0n).to.equal(true);
+    // The grid, the first two interior points, then one new point per iteration
+    expect(scanner.calls).to.be.at.most(7 + 2 + 20);
+    expect(result.curve.map((p) => p.amountIn)).to.deep.equal(
+      [64n, 32n, 16n, 8n, 4n, 2n, 1n].map((d) => 2n * e18 / d)
+    );
+  });
+
+  it('ranks sizes the pools cannot fill below every fillable size', async () => {
+    // Profit grows with size, but nothing above 0.5 can be filled
+    const limit   = e18 / 2n;
+    const scanner = stubScanner((x) => (x > limit ? null : x / 100n));
+    const result  = await optimizeLoanSize(scanner, opportunity, { maxAmount: 2n * e18, premiumBps: 5n });
+
+    expect(result.amountIn <= limit).to.equal(true);
+    expect(result.amountIn > limit * 999n / 1000n).to.equal(true);
+    expect(result.curve.filter((p) => p.netProfit === null).map((p) => p.amountIn)).to.deep.equal([e18, 2n * e18]);
+  });
+
+  it('returns null when no size beats the premium', async () => {
+    const scanner = stubScanner((x) => x / 10000n); // 1 bps gross
+    expect(await optimizeLoanSize(scanner, opportunity, { maxAmount: e18, premiumBps: 5n })).to.equal(null);
+    expect(await optimizeLoanSize(stubScanner(() => null), opportunity, { maxAmount: e18, premiumBps: 5n })).to.equal(null);
+  });
+});
+
+describe('loanCap', () => {
+  it('caps the loan by Aave liquidity or the risk limit, whichever is lower', () => {
+    expect(loanCap(5n * e18, 10n * e18)).to.deep.equal({ amount: 5n * e18, boundBy: 'aave' });
+    expect(loanCap(50n * e18, 10n * e18)).to.deep.equal({ amount: 10n * e18, boundBy: 'limit' });
+    expect(loanCap(10n * e18, 10n * e18)).to.deep.equal({ amount: 10n * e18, boundBy: 'limit' });
+  });
+
+  it('probes at the smallest grid size', () => {
+    expect(probeAmount(64n * e18)).to.equal(e18);
+  });
+});
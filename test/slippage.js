@@ -0,0 +1,23 @@
+const { expect } = require('chai');
+const { slippageBps, computeMinOuts } = require('../engine/slippage');
+const { CHAINS } = require('../engine/config');
+
+describe('slippage', () => {
+  const chain = CHAINS.arbitrum;
+
+  it('uses the chain defaults unless a pair class is overridden', () => {
+    expect(slippageBps(chain, 'stable')).to.equal(chain.slippageBps.stable);
+    expect(slippageBps(chain, 'stable', { stable: null, volatile: '80' })).to.equal(chain.slippageBps.stable);
+    expect(slippageBps(chain, 'volatile', { stable: null, volatile: '80' })).to.equal(80);
+  });
+
+  it('bounds both legs from fresh quotes with the overridden tolerance', async () => {
+    const scanner = { quoteLeg: async (venue, tokenIn, amountIn) => ({ amountOut: amountIn * 2n }) };
+    const opportunity = { tokenA: chain.weth, tokenB: chain.usdc, buy: { source: 'uniswapV3' }, sell: { source: 'camelot' } };
+    const bounds = await computeMinOuts(scanner, chain, opportunity, 10000n, { volatile: '100' });
+    expect(bounds).to.deep.equal({
+      amountOutMin1: 19800n, amountOutMin2: 39600n, quote1: 20000n, quote2: 40000n,
+      slippageBps: 100, pairClass: 'volatile',
+    });
+  });
+});
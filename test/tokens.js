@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { TokenRegistry } = require('../engine/tokens');
+const { ChainRunner } = require('../engine/runner');
+
+const USDC = '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8';
+const MKR  = '0x9f8F72aA9304c8B593d555F12eF6589cC3A579A2';
+const FOT  = '0x0000000000000000000000000000000000000f07';
+
+const erc20 = new ethers.Interface([
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function name() view returns (string)',
+]);
+const bytes32 = new ethers.Interface([
+  'function symbol() view returns (bytes32)',
+  'function name() view returns (bytes32)',
+]);
+
+/**
+ * Read-only runner answering token metadata calls from `tokens` (lowercase
+ * address → { decimals, symbol, name }); a token with `bytes32: true` returns
+ * its symbol and name as bytes32, and an unknown token reverts every call.
+ */
+function stubTokens(tokens) {
+  const runner = {
+    calls: 0,
+    call: async ({ to, data }) => {
+      runner.calls++;
+      const token = tokens[to.toLowerCase()];
+      if (!token) throw ethers.makeError('call reverted', 'CALL_EXCEPTION', { data: null });
+      const { name } = erc20.parseTransaction({ data });
+      if (name === 'decimals') return erc20.encodeFunctionResult('decimals', [token.decimals]);
+      return token.bytes32
+        ? bytes32.encodeFunctionResult(name, [ethers.encodeBytes32String(token[name])])
+        : erc20.encodeFunctionResult(name, [token[name]]);
+    },
+  };
+  return runner;
+}
+
+const TOKENS = {
+  [USDC.toLowerCase()]: { decimals: 6, symbol: 'USDC', name: 'USD Coin' },
+  [MKR.toLowerCase()]:  { decimals: 18, symbol: 'MKR', name: 'Maker', bytes32: true },
+  [FOT.toLowerCase()]:  { decimals: 18, symbol: 'FOT', name: 'Fee On Transfer' },
+};
+
+describe('TokenRegistry', () => {
+  const chainConfig = { chainId: 42161, tokenFlags: { [FOT]: ['fee-on-transfer'] } };
+  let cacheDir;
+
+  beforeEach(() => { cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-')); });
+  afterEach(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+  it('caches resolved metadata on disk and serves it after a restart', async () => {
+    const first = stubTokens(TOKENS);
+    expect(await new TokenRegistry(first, chainConfig, { cacheDir }).resolve(USDC))
+      .to.deep.equal({ address: USDC, decimals: 6, symbol: 'USDC', name: 'USD Coin', flags: [] });
+    expect(first.calls).to.equal(3);
+
+    const second = stubTokens({});
+    const restarted = new TokenRegistry(second, chainConfig, { cacheDir });
+    expect(await restarted.decimals(USDC.toLowerCase())).to.equal(6);
+    expect(second.calls).to.equal(0);
+  });
+
+  it('shares one lookup between concurrent resolves', async () => {
+    const runner = stubTokens(TOKENS);
+    const tokens = new TokenRegistry(runner, chainConfig, { cacheDir });
+    await Promise.all([tokens.resolve(USDC), tokens.resolve(USDC), tokens.decimals(USDC)]);
+    expect(runner.calls).to.equal(3);
+  });
+
+  it('falls back to bytes32 for a legacy symbol and name', async () => {
+    const meta = await new TokenRegistry(stubTokens(TOKENS), chainConfig, { cacheDir }).resolve(MKR);
+    expect(meta).to.include({ symbol: 'MKR', name: 'Maker', decimals: 18 });
+  });
+
+  it('refuses to trade a token listed in tokenFlags', async () => {
+    const tokens = new TokenRegistry(stubTokens(TOKENS), chainConfig, { cacheDir });
+    expect((await tokens.resolve(FOT)).flags).to.deep.equal(['fee-on-transfer']);
+
+    let error;
+    await tokens.resolveTradable(FOT).catch((err) => { error = err; });
+    expect(error.message).to.equal(`FOT (${ethers.getAddress(FOT)}) is flagged fee-on-transfer`);
+    expect((await tokens.resolveTradable(USDC)).symbol).to.equal('USDC');
+  });
+
+  it('does not cache a token whose metadata cannot be read', async () => {
+    const tokens = new TokenRegistry(stubTokens({}), chainConfig, { cacheDir });
+    let error;
+    await tokens.resolveTradable(USDC).catch((err) => { error = err; });
+    expect(error.message).to.match(/^Unresolved token .*: decimals\(\) failed/);
+    expect(fs.existsSync(path.join(cacheDir, 'tokens-42161.json'))).to.equal(false);
+  });
+});
+
+describe('ChainRunner.quotePair with unresolved tokens', () => {
+  let cacheDir;
+  beforeEach(() => { cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-')); });
+  afterEach(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+  it('skips the pair without scanning it and reports it once', async () => {
+    const warnings = [];
+    const log      = { log() {}, warn: (message) => warnings.push(message), error() {} };
+    const runner   = new ChainRunner('arbitrum', { chainId: 42161 }, {}, { forChain: () => log });
+    const UNKNOWN  = '0x0000000000000000000000000000000000000bad';
+    runner.tokens  = new TokenRegistry(stubTokens(TOKENS), { chainId: 42161 }, { cacheDir });
+    runner.aave    = { unavailableReason: async () => null };
+    runner.scanner = { scanVenues: async () => { throw new Error('scanned an untradable pair'); } };
+
+    const pair = { tokenA: USDC, tokenB: UNKNOWN };
+    expect(await runner.quotePair(pair)).to.equal(null);
+    expect(await runner.quotePair(pair)).to.equal(null);
+    expect(warnings).to.have.length(1);
+    expect(warnings[0]).to.include(`Skipping ${USDC}/${UNKNOWN}: Unresolved token ${UNKNOWN}`);
+  });
+});
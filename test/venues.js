@@ -0,0 +1,247 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { CHAINS } = require('../engine/config');
+const { contractDexId, DEX_IDS } = require('../engine/venues');
+const { Price } = require('../engine/price');
+const { V2Adapter } = require('../engine/venues/v2');
+const { CurveAdapter } = require('../engine/venues/curve');
+
+const WETH = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+const USDC = '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8';
+
+describe('contractDexId', () => {
+  const { arbitrum, bsc } = CHAINS;
+
+  it('maps venues on the contract routers to their ArbParams ids', () => {
+    expect(contractDexId('v3', arbitrum.venues.uniswapV3.router, arbitrum)).to.equal(DEX_IDS.v3);
+    expect(contractDexId('v2', arbitrum.venues.sushiswap.router, arbitrum)).to.equal(DEX_IDS.v2);
+    expect(contractDexId('curve', undefined, arbitrum)).to.equal(DEX_IDS.curve);
+    expect(contractDexId('v3', bsc.venues.pancakeV3.router, bsc)).to.equal(DEX_IDS.v3);
+  });
+
+  it('leaves other forks and Balancer unexecutable', () => {
+    expect(contractDexId('v2', arbitrum.venues.camelot.router, arbitrum)).to.equal(null);
+    expect(contractDexId('v2', bsc.venues.pancakeV2.router, bsc)).to.equal(null);
+    expect(contractDexId('balancer', undefined, CHAINS.ethereum)).to.equal(null);
+  });
+});
+
+describe('V2Adapter', () => {
+  const adapter = (config) => new V2Adapter('test', config, { pools: { addFactory() {} } });
+  // 1000 WETH / 2,000,000 USDC (both 18 decimals for simplicity)
+  const venue = {
+    token0: WETH, reserve0: 1000n * 10n ** 18n, reserve1: 2_000_000n * 10n ** 18n, feeBps: 30, feeBps1: 5,
+  };
+
+  it('charges each direction its own fee', async () => {
+    const v2 = adapter({ dynamicFees: true });
+    const sell = await v2.quote(venue, WETH, 10n ** 18n);
+    const buy  = await v2.quote(venue, USDC, 2000n * 10n ** 18n);
+    // 0.3% fee selling WETH, 0.05% buying it
+    expect(sell.amountOut).to.equal(1992013962079806432986n);
+    expect(buy.amountOut).to.equal(998501997253744881n);
+    expect(v2.spotRate(venue, WETH)).to.be.closeTo(2000 * 0.997, 1e-9);
+  });
+
+  it('uses the configured flat fee in both directions', async () => {
+    const PAIR = '0x905dfCD5649217c42684f23958568e533C711Aa3';
+    const v2 = new V2Adapter('pancakeV2', { feeBps: 25 }, {
+      pools:  { addFactory() {}, pool: async () => PAIR },
+      mirror: { get: () => ({ token0: WETH, reserve0: venue.reserve0, reserve1: venue.reserve1 }) },
+      tokens: { resolve: async (address) => ({ address, decimals: 18, symbol: address === WETH ? 'WETH' : 'USDC' }) },
+    });
+    const [discovered] = await v2.discover(WETH, USDC);
+    expect(discovered).to.include({ pair: PAIR, feeBps: 25 });
+    expect(discovered.feeBps1).to.equal(undefined);
+    // 0.25% fee selling WETH and selling USDC
+    expect(v2.spotRate(discovered, WETH)).to.be.closeTo(2000 * 0.9975, 1e-9);
+    expect(v2.spotRate(discovered, USDC)).to.be.closeTo(0.0005 * 0.9975, 1e-12);
+  });
+});
+
+describe('V2Adapter.discover', () => {
+  const tokens = { resolve: async (address) => ({ address, decimals: 18 }) };
+
+  it('returns no venue when the factory has no pair', async () => {
+    const v2 = new V2Adapter('sushiswap', {}, { pools: { addFactory() {}, pool: async () => null }, tokens });
+    expect(await v2.discover(WETH, USDC)).to.deep.equal([]);
+  });
+
+  it('rejects when the pair lookup fails', async () => {
+    const v2 = new V2Adapter('sushiswap', {}, {
+      pools: { addFactory() {}, pool: async () => { throw new Error('missing response'); } },
+      tokens,
+    });
+    let error;
+    await v2.discover(WETH, USDC).catch((err) => { error = err; });
+    expect(error.message).to.equal('missing response');
+  });
+
+  it('reads Camelot fees from chain even when the mirror holds the pair', async () => {
+    const PAIR    = ethers.getAddress('0x0000000000000000000000000000000000000ca1');
+    const onChain = { fee0: 300n, fee1: 50n };
+    const reader  = stubRunner({
+      [PAIR.toLowerCase()]: {
+        abi: ['function getReserves() view returns (uint112, uint112, uint16, uint16)',
+          'function token0() view returns (address)', 'function stableSwap() view returns (bool)'],
+        methods: {
+          getReserves: () => [10n ** 21n, 2n * 10n ** 24n, onChain.fee0, onChain.fee1],
+          token0:      () => WETH,
+          stableSwap:  () => false,
+        },
+      },
+    });
+    reader.blockNumber = async () => 100;
+    const v2 = new V2Adapter('camelot', { dynamicFees: true }, {
+      multicall: reader,
+      pools:     { addFactory() {}, pool: async () => PAIR },
+      mirror:    { get: () => ({ token0: WETH, reserve0: 10n ** 21n, reserve1: 2n * 10n ** 24n }), seed() {} },
+      tokens,
+    });
+
+    const [venue] = await v2.discover(WETH, USDC);
+    expect(venue).to.include({ feeBps: 30, feeBps1: 5 });
+    onChain.fee0 = 150n;
+    expect(await v2.refresh(venue)).to.include({ feeBps: 15, feeBps1: 5 });
+  });
+});
+
+/**
+ * ContractRunner answering eth_calls from plain functions: `contracts` maps an
+ * address (lowercase) to { abi, methods: name → (...args) → result, an array
+ * for several outputs }. A method may throw (see `revert`) to fail its call.
+ */
+function stubRunner(contracts) {
+  const calls = [];
+  return {
+    calls,
+    async call({ to, data }) {
+      const { abi, methods } = contracts[to.toLowerCase()];
+      const iface = new ethers.Interface(abi);
+      const tx    = iface.parseTransaction({ data });
+      calls.push({ to, method: tx.name, args: [...tx.args] });
+      const result = await methods[tx.name](...tx.args);
+      return iface.encodeFunctionResult(tx.fragment, tx.fragment.outputs.length === 1 ? [result] : result);
+    },
+  };
+}
+
+const revert = () => { throw ethers.makeError('call reverted', 'CALL_EXCEPTION', { data: null }); };
+
+describe('CurveAdapter', () => {
+  const REGISTRY   = ethers.getAddress('0x0000000000000000000000000000000000000c01');
+  const POOL       = ethers.getAddress('0x0000000000000000000000000000000000000c02');
+  const META_POOL  = ethers.getAddress('0x0000000000000000000000000000000000000c03');
+  const CRYPTO     = ethers.getAddress('0x0000000000000000000000000000000000000c04');
+  const DAI        = '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1';
+  const decimals   = { [DAI.toLowerCase()]: 18, [USDC.toLowerCase()]: 6 };
+  const tokens     = { resolve: async (address) => ({ address, decimals: decimals[address.toLowerCase()] }) };
+  const REGISTRY_ABI = [
+    'function find_pool_for_coins(address from, address to, uint256 i) view returns (address)',
+    'function find_pools_for_coins(address from, address to) view returns (address[])',
+    'function get_coin_indices(address pool, address from, address to) view returns (int128, int128, bool)',
+  ];
+  const POOL_ABI = [
+    'function get_dy(int128 i, int128 j, uint256 dx) view returns (uint256)',
+    'function fee() view returns (uint256)',
+  ];
+
+  // A DAI/USDC/USDT-style pool: DAI is coin 0, USDC coin 1, 0.04% fee
+  const coins = [DAI, USDC];
+  const pool  = {
+    abi: POOL_ABI,
+    methods: {
+      fee:    () => 4_000_000n,
+      get_dy: (i, j, dx) => {
+        const scaled = (dx * 10n ** BigInt(decimals[coins[j].toLowerCase()])) / 10n ** BigInt(decimals[coins[i].toLowerCase()]);
+        return (scaled * 9996n) / 10000n;
+      },
+    },
+  };
+  const indices = (from, to) => [BigInt(coins.indexOf(from)), BigInt(coins.indexOf(to)), false];
+
+  function curve(type, registry) {
+    const runner = stubRunner({
+      [REGISTRY.toLowerCase()]:  registry,
+      [POOL.toLowerCase()]:      pool,
+      [META_POOL.toLowerCase()]: pool,
+      [CRYPTO.toLowerCase()]:    { abi: POOL_ABI, methods: { fee: () => 0n, get_dy: revert } },
+    });
+    const adapter = new CurveAdapter('curve', { registry: { address: REGISTRY, type } }, { multicall: runner, tokens });
+    return { adapter, runner };
+  }
+
+  it('walks the main registry and maps each token to its coin index', async () => {
+    const found = [POOL, META_POOL, CRYPTO];
+    const { adapter, runner } = curve('main', {
+      abi: REGISTRY_ABI,
+      methods: {
+        find_pool_for_coins: (from, to, i) => found[Number(i)] ?? ethers.ZeroAddress,
+        // META_POOL only holds the pair as underlying coins; CRYPTO has no int128 indices
+        get_coin_indices:    (p, from, to) => {
+          if (p === CRYPTO) revert();
+          return p === META_POOL ? [0n, 2n, true] : indices(from, to);
+        },
+      },
+    });
+
+    const pools = await adapter.discoverPools(USDC, DAI);
+    expect(pools).to.deep.equal([{ pool: POOL, coinIndex: { [USDC.toLowerCase()]: 1n, [DAI.toLowerCase()]: 0n }, fee: 400 }]);
+    expect(adapter.knownPools(USDC, DAI)).to.deep.equal([POOL]);
+
+    // Cached per pair: no further registry calls
+    const registryCalls = runner.calls.length;
+    await adapter.discoverPools(USDC, DAI);
+    expect(runner.calls.length).to.equal(registryCalls);
+  });
+
+  it('reads every pool for the pair from a meta registry', async () => {
+    const { adapter } = curve('meta', {
+      abi: REGISTRY_ABI,
+      methods: {
+        find_pools_for_coins: () => [POOL],
+        get_coin_indices:     (p, from, to) => indices(from, to),
+      },
+    });
+    const [found] = await adapter.discoverPools(DAI, USDC);
+    expect(found.coinIndex).to.deep.equal({ [DAI.toLowerCase()]: 0n, [USDC.toLowerCase()]: 1n });
+  });
+
+  it('propagates a registry call that fails without reverting', async () => {
+    const { adapter } = curve('meta', {
+      abi: REGISTRY_ABI,
+      methods: {
+        find_pools_for_coins: () => [POOL],
+        get_coin_indices:     () => { throw new Error('missing response'); },
+      },
+    });
+    let error;
+    await adapter.discoverPools(DAI, USDC).catch((err) => { error = err; });
+    expect(error.message).to.equal('missing response');
+    expect(adapter.knownPools(DAI, USDC)).to.deep.equal([]);
+  });
+
+  it('prices pools with get_dy probes and quotes through the mapped coin indices', async () => {
+    const { adapter, runner } = curve('meta', {
+      abi: REGISTRY_ABI,
+      methods: {
+        find_pools_for_coins: () => [POOL, CRYPTO],
+        get_coin_indices:     (p, from, to) => indices(from, to),
+      },
+    });
+
+    const venues = await adapter.discover(USDC, DAI);
+    expect(venues).to.have.length(1); // get_dy reverts on CRYPTO
+    const [venue] = venues;
+    expect(venue.price.toString()).to.equal(Price.fromAmounts(
+      { address: USDC, decimals: 6 }, { address: DAI, decimals: 18 }, 10n ** 6n, 9996n * 10n ** 14n
+    ).toString());
+    expect(adapter.spotRate(venue, USDC)).to.be.closeTo(0.9996e12, 1e3);
+
+    const quote = await adapter.quote(venue, DAI, 1000n * 10n ** 18n);
+    expect(quote.amountOut).to.equal(999_600_000n);
+    expect(quote.priceImpactBps).to.equal(0);
+    const dy = runner.calls.filter((c) => c.method === 'get_dy' && c.to === POOL).pop();
+    expect(dy.args).to.deep.equal([0n, 1n, 1000n * 10n ** 18n]);
+  });
+});
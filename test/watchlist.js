@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { Watchlist } = require('../engine/watchlist');
+
+const WETH = '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1';
+const USDC = '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8';
+
+describe('Watchlist', () => {
+  let dir;
+  const write = (name, text) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+  };
+  const json = (doc) => write('watchlist.json', JSON.stringify(doc));
+  const arbitrum = (pairs, extra = {}) => ({ arbitrum: { tokens: { WETH, USDC }, pairs, ...extra } });
+  const loadError = (file) => {
+    try {
+      new Watchlist(file).load();
+    } catch (err) {
+      return err.message;
+    }
+    throw new Error('watchlist loaded');
+  };
+
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-')); });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('resolves token symbols and per-pair settings', () => {
+    const watchlist = new Watchlist(json(arbitrum(
+      [{ tokens: ['WETH', 'USDC'], dexes: ['uniswapV3', 'sushiswap'], minProfitBps: 5, loanAmount: '2.5' }],
+      { defaults: { feeTiers: [500] }, limits: { WETH: 10 } }
+    ))).load();
+    expect(watchlist.pairs('arbitrum')).to.deep.equal([{
+      tokenA: WETH, tokenB: USDC, dexes: ['uniswapV3', 'sushiswap'], feeTiers: [500],
+      minProfitBps: 5, minProfitUsd: undefined, loanAmount: '2.5',
+    }]);
+    expect(watchlist.loanLimit('arbitrum', WETH.toLowerCase())).to.equal('10');
+    // Chains the file does not mention keep the built-in pairs
+    expect(watchlist.pairs('polygon')).to.have.length(5);
+  });
+
+  it('parses YAML watchlists', () => {
+    const file = write('watchlist.yaml', [
+      'arbitrum:',
+      '  tokens:',
+      `    WETH: "${WETH}"`,
+      `    USDC: "${USDC}"`,
+      '  pairs:',
+      '    - tokens: [WETH, USDC]',
+      '      feeTiers: [500, 3000]',
+      '      minProfitUsd: 2.5',
+    ].join('\n'));
+    const [pair] = new Watchlist(file).load().pairs('arbitrum');
+    expect(pair).to.include({ tokenA: WETH, tokenB: USDC, minProfitUsd: 2.5 });
+    expect(pair.feeTiers).to.deep.equal([500, 3000]);
+  });
+
+  it('rejects unknown chains and dexes', () => {
+    const message = loadError(json({
+      ...arbitrum([{ tokens: ['WETH', 'USDC'], dexes: ['uniswapV3', 'pancakeV3'] }]),
+      solana: { tokens: {}, pairs: [] },
+    }));
+    expect(message).to.include('solana: unknown chain');
+    expect(message).to.include('arbitrum.pairs[0].dexes: unknown pancakeV3');
+  });
+
+  it('rejects bad addresses and unknown tokens', () => {
+    const message = loadError(json({
+      arbitrum: { tokens: { WETH: '0x1234', USDC }, pairs: [{ tokens: ['WETH', 'USDC'] }, { tokens: ['USDC', 'USDC'] }] },
+    }));
+    expect(message).to.include('arbitrum.tokens.WETH: not an address: 0x1234');
+    expect(message).to.include('arbitrum.pairs[0].tokens: unknown token WETH');
+    expect(message).to.include('arbitrum.pairs[1].tokens: both sides are USDC');
+  });
+
+  it('rejects mistyped per-pair minProfitBps and loanAmount', () => {
+    const message = loadError(json(arbitrum([
+      { tokens: ['WETH', 'USDC'], minProfitBps: '5' },
+      { tokens: ['WETH', 'USDC'], minProfitBps: 2.5, loanAmount: -1 },
+      { tokens: ['WETH', 'USDC'], loanAmount: '1e18' },
+    ])));
+    expect(message).to.include('arbitrum.pairs[0].minProfitBps: must be a non-negative integer');
+    expect(message).to.include('arbitrum.pairs[1].minProfitBps: must be a non-negative integer');
+    expect(message).to.include('arbitrum.pairs[1].loanAmount: must be a positive amount in WETH units');
+    expect(message).to.include('arbitrum.pairs[2].loanAmount: must be a positive amount in WETH units');
+  });
+
+  it('keeps the last good pairs when an edit is invalid', async () => {
+    const file      = json(arbitrum([{ tokens: ['WETH', 'USDC'] }]));
+    const watchlist = new Watchlist(file, { intervalMs: 10 }).load();
+    const next = (event) => new Promise((resolve) => watchlist.once(event, resolve));
+    watchlist.watch();
+    // fs.watchFile compares against its first stat, so an edit made before
+    // that stat lands would go unnoticed
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    try {
+      // Push the mtime forward so each edit is seen even within one clock tick
+      const edit = (doc, seconds) => {
+        fs.writeFileSync(file, JSON.stringify(doc));
+        const mtime = new Date(Date.now() + seconds * 1000);
+        fs.utimesSync(file, mtime, mtime);
+      };
+
+      edit(arbitrum([{ tokens: ['WETH', 'DAI'] }]), 1);
+      expect((await next('error')).message).to.include('unknown token DAI');
+      expect(watchlist.pairs('arbitrum')).to.have.length(1);
+      expect(watchlist.pairs('arbitrum')[0]).to.include({ tokenA: WETH, tokenB: USDC });
+
+      edit(arbitrum([{ tokens: ['USDC', 'WETH'] }]), 2);
+      expect(await next('change')).to.deep.equal(['arbitrum']);
+      expect(watchlist.pairs('arbitrum')[0]).to.include({ tokenA: USDC, tokenB: WETH });
+    } finally {
+      watchlist.unwatch();
+    }
+  });
+});